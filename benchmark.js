@@ -0,0 +1,140 @@
+// Throughput benchmark for the multipart parser.
+//
+//   node benchmark.js [sizeInMiB] [chunkSizeInKiB] [runs]
+//
+// Parses a generated upload with one large file and a few fields, delivered
+// in fixed-size chunks like a network stream, and reports the median
+// throughput. The file data is pseudo-random with a fixed seed, so every run
+// and every checkout parses the same bytes.
+
+const { streamMultipart, StreamSearch } = require("./index.js");
+
+const sizeMiB = Number(process.argv[2] || 64);
+const chunkKiB = Number(process.argv[3] || 64);
+const runs = Number(process.argv[4] || 5);
+const boundary = "----WebKitFormBoundaryu7oxE2Xo3TkyIGkx";
+
+/**
+ * Generates deterministic pseudo-random bytes (xorshift32)
+ * @param {number} size - Number of bytes
+ * @returns {Uint8Array}
+ */
+function randomBytes(size) {
+  const out = new Uint8Array(size);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < size; i++) {
+    x ^= x << 13;
+    x ^= x >>> 17;
+    x ^= x << 5;
+    out[i] = x & 0xff;
+  }
+  return out;
+}
+
+/**
+ * Builds the multipart body
+ * @returns {Uint8Array}
+ */
+function createBody() {
+  const encoder = new TextEncoder();
+  const fields = Array.from(
+    { length: 10 },
+    (_, i) =>
+      `--${boundary}\r\nContent-Disposition: form-data; name="field${i}"\r\n\r\nvalue ${i}\r\n`,
+  ).join("");
+  const head = encoder.encode(
+    `${fields}--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="upload.bin"\r\nContent-Type: application/octet-stream\r\n\r\n`,
+  );
+  const tail = encoder.encode(`\r\n--${boundary}--\r\n`);
+  const file = randomBytes(sizeMiB * 1024 * 1024);
+
+  const body = new Uint8Array(head.length + file.length + tail.length);
+  body.set(head);
+  body.set(file, head.length);
+  body.set(tail, head.length + file.length);
+  return body;
+}
+
+/**
+ * Splits the body into chunks of the configured size
+ * @param {Uint8Array} body - The whole body
+ * @returns {Uint8Array[]}
+ */
+function split(body) {
+  const chunkSize = chunkKiB * 1024;
+  const chunks = [];
+  for (let i = 0; i < body.length; i += chunkSize) {
+    // Copies, so no chunk shares its buffer with the others
+    chunks.push(body.slice(i, i + chunkSize));
+  }
+  return chunks;
+}
+
+/**
+ * Parses the chunks, reading all part data
+ * @param {Uint8Array[]} chunks - The body chunks
+ * @returns {Promise<number>} - Number of data bytes read
+ */
+async function parse(chunks) {
+  let size = 0;
+  const body = (async function* () {
+    yield* chunks;
+  })();
+  for await (const part of streamMultipart(body, boundary)) {
+    for await (const chunk of part.data) {
+      size += chunk.length;
+    }
+  }
+  return size;
+}
+
+/**
+ * Feeds the chunks to a StreamSearch for the boundary
+ * @param {Uint8Array[]} chunks - The body chunks
+ * @returns {number} - Number of tokens
+ */
+function search(chunks) {
+  const streamSearch = new StreamSearch(`\r\n--${boundary}`);
+  let count = 0;
+  for (const chunk of chunks) {
+    count += streamSearch.feed(chunk).length;
+  }
+  return count + 1;
+}
+
+/**
+ * Runs a benchmark and prints the median throughput
+ * @param {string} name - Name of the benchmark
+ * @param {number} bytes - Size of the input
+ * @param {function(): unknown} fn - Benchmark function
+ */
+async function measure(name, bytes, fn) {
+  // Warm up
+  await fn();
+
+  const times = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await fn();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  const median = times[Math.floor(times.length / 2)];
+  const throughput = bytes / 1024 / 1024 / (median / 1000);
+  console.log(
+    `${name.padEnd(16)} ${median.toFixed(1).padStart(8)} ms ${throughput
+      .toFixed(1)
+      .padStart(8)} MiB/s`,
+  );
+}
+
+(async () => {
+  const body = createBody();
+  const chunks = split(body);
+  console.log(
+    `node ${process.version}, ${sizeMiB} MiB upload in ${chunks.length} chunks of ${chunkKiB} KiB, median of ${runs} runs`,
+  );
+
+  await measure("StreamSearch", body.length, () => search(chunks));
+  await measure("streamMultipart", body.length, () => parse(chunks));
+})();
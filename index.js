@@ -22,9 +22,19 @@
 
   /**
    * @typedef {Object} Part
-   * @property {string} name
+   * @property {string} [name] - always set for multipart/form-data, parts parsed in generic mode may have none
    * @property {AsyncIterableIterator<Uint8Array>} data
    * @property {string[]} headerLines - the raw headers
+   * @property {function(): Promise<void>} skip - discard the remaining data of the part without buffering it
+   * @property {function(string=): Promise<string>} text - read and decode the data, using its charset unless an encoding is given
+   * @property {function(): Promise<Uint8Array>} bytes - read the data into a Uint8Array
+   * @property {function(): Promise<ArrayBuffer>} arrayBuffer - read the data into an ArrayBuffer
+   * @property {function(): Promise<any>} json - parse the data as JSON
+   * @property {function(): Promise<Blob>} blob - read the data into a Blob
+   * @property {function(): ReadableStream<Uint8Array>} stream - get the data as a ReadableStream
+   * @property {number[]} [path] - with the `nested` option: the index of the part at every level, like [1, 0]
+   * @property {Array<Record<string, any>>} [parents] - with the `nested` option: the headers of the enclosing parts, outermost first
+   * @property {ByteRange} [range] - the parsed Content-Range, for parts of a multipart/byteranges response (in generic mode)
    * @property {string} [filename] - the filename or path
    * @property {string} [content-type]
    * @property {string} [content-length] uncompressed size
@@ -65,6 +75,21 @@
     return String.fromCharCode.apply(null, a);
   }
 
+  /**
+   * Decodes bytes with the given charset, falling back to latin1 if the bytes
+   * are not valid in that charset or the charset is unknown
+   * @param {Uint8Array} a - The array to decode
+   * @param {string} [charset] - Charset label, defaults to utf-8
+   * @returns {string} - Decoded string
+   */
+  function decodeText(a, charset = "utf-8") {
+    try {
+      return new TextDecoder(charset, { fatal: true }).decode(a);
+    } catch {
+      return arrayToString(a);
+    }
+  }
+
   /**
    * Merges multiple Uint8Arrays into one
    * @param {...Uint8Array} arrays - Arrays to merge
@@ -108,33 +133,18 @@
   // Symbol used to indicate a needle match
   const MATCH = Symbol("Match");
 
-  /**
-   * Adapts a Uint8Array or function to a character function
-   * @param {Uint8Array|Function} a - Array or function to adapt
-   * @returns {function(number): number} - Function that returns a character at index
-   */
-  function coerce(a) {
-    if (a instanceof Uint8Array) {
-      return (index) => a[index];
-    }
-    return a;
-  }
-
   /**
    * Compare memory blocks
-   * @param {Uint8Array|Function} buf1 - First buffer or character function
+   * @param {Uint8Array} buf1 - First buffer
    * @param {number} pos1 - Position in first buffer
-   * @param {Uint8Array|Function} buf2 - Second buffer or character function
+   * @param {Uint8Array} buf2 - Second buffer
    * @param {number} pos2 - Position in second buffer
    * @param {number} len - Length to compare
    * @returns {boolean} - Whether blocks are equal
    */
   function jsmemcmp(buf1, pos1, buf2, pos2, len) {
-    const fn1 = coerce(buf1);
-    const fn2 = coerce(buf2);
-
     for (let i = 0; i < len; ++i) {
-      if (fn1(pos1 + i) !== fn2(pos2 + i)) {
+      if (buf1[pos1 + i] !== buf2[pos2 + i]) {
         return false;
       }
     }
@@ -144,12 +154,12 @@
   /**
    * Creates occurrence table for Boyer-Moore-Horspool algorithm
    * @param {Uint8Array} s - Needle
-   * @returns {number[]} - Occurrence table
+   * @returns {Uint32Array} - Occurrence table
    */
   function createOccurenceTable(s) {
     // Populate occurrence table with analysis of the needle,
     // ignoring last letter.
-    const table = new Array(256).fill(s.length);
+    const table = new Uint32Array(256).fill(s.length);
     if (s.length > 1) {
       for (let i = 0; i < s.length - 1; i++) {
         table[s[i]] = s.length - 1 - i;
@@ -159,7 +169,12 @@
   }
 
   /**
-   * A class that implements the Boyer-Moore-Horspool string search algorithm
+   * A class that implements the Boyer-Moore-Horspool string search algorithm.
+   *
+   * Data tokens are views (subarrays) of the fed chunks rather than copies, so
+   * they are only valid as long as the caller does not modify the chunks. Only
+   * data held back in the lookbehind buffer, which is never longer than the
+   * needle, is copied.
    */
   class StreamSearch {
     /**
@@ -174,7 +189,10 @@
 
       this._lastChar = needle[needle.length - 1];
       this._occ = createOccurenceTable(needle);
-      this._lookbehind = new Uint8Array();
+      // A possible partial match at the end of the last chunk. It is always
+      // shorter than the needle, so it is allocated once.
+      this._lookbehind = new Uint8Array(needle.length);
+      this._lookbehindSize = 0;
     }
 
     /**
@@ -183,14 +201,13 @@
      * @returns {Token[]} - Array of tokens (Uint8Array data or MATCH symbol)
      */
     feed(chunk) {
+      /** @type {Token[]} */
+      const tokens = [];
       let pos = 0;
-      let tokens;
-      const allTokens = [];
       while (pos !== chunk.length) {
-        [pos, ...tokens] = this._feed(chunk, pos);
-        allTokens.push(...tokens);
+        pos = this._feed(chunk, pos, tokens);
       }
-      return allTokens;
+      return tokens;
     }
 
     /**
@@ -198,8 +215,8 @@
      * @returns {Uint8Array} - Remaining data
      */
     end() {
-      const tail = this._lookbehind;
-      this._lookbehind = new Uint8Array();
+      const tail = this._lookbehind.slice(0, this._lookbehindSize);
+      this._lookbehindSize = 0;
       return tail;
     }
 
@@ -207,40 +224,40 @@
      * Internal feed implementation
      * @param {Uint8Array} data - Data to search in
      * @param {number} buf_pos - Position in buffer
-     * @returns {[number, ...Token[]]} - New position and tokens
+     * @param {Token[]} tokens - Tokens found are appended to this array
+     * @returns {number} - New position
      * @private
      */
-    _feed(data, buf_pos) {
-      const tokens = [];
+    _feed(data, buf_pos, tokens) {
+      const needle = this._needle;
+      const needleLength = needle.length;
+      const lastChar = this._lastChar;
+      const occ = this._occ;
+      const lookbehind = this._lookbehind;
 
       // Positive: points to a position in `data`
       //           pos == 3 points to data[3]
       // Negative: points to a position in the lookbehind buffer
       //           pos == -2 points to lookbehind[lookbehind_size - 2]
-      let pos = -this._lookbehind.length;
+      let pos = -this._lookbehindSize;
 
       if (pos < 0) {
         // Lookbehind buffer is not empty. Perform Boyer-Moore-Horspool
         // search with character lookup code that considers both the
         // lookbehind buffer and the current round's haystack data.
-        while (pos < 0 && pos <= data.length - this._needle.length) {
-          const ch = this._charAt(data, pos + this._needle.length - 1);
+        while (pos < 0 && pos <= data.length - needleLength) {
+          const ch = this._charAt(data, pos + needleLength - 1);
 
-          if (
-            ch === this._lastChar &&
-            this._memcmp(data, pos, this._needle.length - 1)
-          ) {
-            if (pos > -this._lookbehind.length) {
-              tokens.push(
-                this._lookbehind.slice(0, this._lookbehind.length + pos),
-              );
+          if (ch === lastChar && this._memcmp(data, pos, needleLength - 1)) {
+            if (pos > -this._lookbehindSize) {
+              tokens.push(lookbehind.slice(0, this._lookbehindSize + pos));
             }
 
             tokens.push(MATCH);
-            this._lookbehind = new Uint8Array();
-            return [pos + this._needle.length, ...tokens];
+            this._lookbehindSize = 0;
+            return pos + needleLength;
           } else {
-            pos += this._occ[ch];
+            pos += occ[ch];
           }
         }
 
@@ -256,26 +273,24 @@
 
         if (pos >= 0) {
           // Discard lookbehind buffer.
-          tokens.push(this._lookbehind);
-          this._lookbehind = new Uint8Array();
+          tokens.push(lookbehind.slice(0, this._lookbehindSize));
+          this._lookbehindSize = 0;
         } else {
           // Cut off part of the lookbehind buffer that has
           // been processed and append the entire haystack
           // into it.
-          const bytesToCutOff = this._lookbehind.length + pos;
+          const bytesToCutOff = this._lookbehindSize + pos;
 
           if (bytesToCutOff > 0) {
             // The cut off data is guaranteed not to contain the needle.
-            tokens.push(this._lookbehind.slice(0, bytesToCutOff));
-            this._lookbehind = this._lookbehind.slice(bytesToCutOff);
+            tokens.push(lookbehind.slice(0, bytesToCutOff));
+            lookbehind.copyWithin(0, bytesToCutOff, this._lookbehindSize);
+            this._lookbehindSize -= bytesToCutOff;
           }
 
-          this._lookbehind = Uint8Array.from(
-            new Array(this._lookbehind.length + data.length),
-            (_, i) => this._charAt(data, i - this._lookbehind.length),
-          );
-
-          return [data.length, ...tokens];
+          lookbehind.set(data, this._lookbehindSize);
+          this._lookbehindSize += data.length;
+          return data.length;
         }
       }
 
@@ -284,22 +299,23 @@
       // Lookbehind buffer is now empty. Perform Boyer-Moore-Horspool
       // search with optimized character lookup code that only considers
       // the current round's haystack data.
-      while (pos <= data.length - this._needle.length) {
-        const ch = data[pos + this._needle.length - 1];
+      const last = data.length - needleLength;
+      while (pos <= last) {
+        const ch = data[pos + needleLength - 1];
 
         if (
-          ch === this._lastChar &&
-          data[pos] === this._needle[0] &&
-          jsmemcmp(this._needle, 0, data, pos, this._needle.length - 1)
+          ch === lastChar &&
+          data[pos] === needle[0] &&
+          jsmemcmp(needle, 0, data, pos, needleLength - 1)
         ) {
           if (pos > buf_pos) {
-            tokens.push(data.slice(buf_pos, pos));
+            tokens.push(data.subarray(buf_pos, pos));
           }
 
           tokens.push(MATCH);
-          return [pos + this._needle.length, ...tokens];
+          return pos + needleLength;
         } else {
-          pos += this._occ[ch];
+          pos += occ[ch];
         }
       }
 
@@ -310,23 +326,25 @@
       if (pos < data.length) {
         while (
           pos < data.length &&
-          (data[pos] !== this._needle[0] ||
-            !jsmemcmp(data, pos, this._needle, 0, data.length - pos))
+          (data[pos] !== needle[0] ||
+            !jsmemcmp(data, pos, needle, 0, data.length - pos))
         ) {
           ++pos;
         }
 
         if (pos < data.length) {
-          this._lookbehind = data.slice(pos);
+          lookbehind.set(data.subarray(pos));
+          this._lookbehindSize = data.length - pos;
         }
       }
 
       // Everything until pos is guaranteed not to contain needle data.
-      if (pos > 0) {
-        tokens.push(data.slice(buf_pos, pos < data.length ? pos : data.length));
+      const end = pos < data.length ? pos : data.length;
+      if (end > buf_pos) {
+        tokens.push(data.subarray(buf_pos, end));
       }
 
-      return [data.length, ...tokens];
+      return data.length;
     }
 
     /**
@@ -338,7 +356,7 @@
      */
     _charAt(data, pos) {
       if (pos < 0) {
-        return this._lookbehind[this._lookbehind.length + pos];
+        return this._lookbehind[this._lookbehindSize + pos];
       }
       return data[pos];
     }
@@ -346,13 +364,18 @@
     /**
      * Compare memory with needle
      * @param {Uint8Array} data - Data to compare
-     * @param {number} pos - Position in data
+     * @param {number} pos - Position in data (negative for lookbehind)
      * @param {number} len - Length to compare
      * @returns {boolean} - Whether data matches needle
      * @private
      */
     _memcmp(data, pos, len) {
-      return jsmemcmp(this._charAt.bind(this, data), pos, this._needle, 0, len);
+      for (let i = 0; i < len; ++i) {
+        if (this._charAt(data, pos + i) !== this._needle[i]) {
+          return false;
+        }
+      }
+      return true;
     }
   }
 
@@ -362,7 +385,8 @@
   class ReadableStreamSearch {
     /**
      * @param {Uint8Array|string} needle - The pattern to search for
-     * @param {ReadableStream<Uint8Array>} readableStream - Stream to search in
+     * @param {MultipartBody} readableStream - Stream to search in. Anything
+     * accepted by iteratePartData works, e.g. a Node Readable or a Uint8Array
      */
     constructor(needle, readableStream) {
       this._search = new StreamSearch(needle);
@@ -423,23 +447,13 @@
      * @returns {AsyncIterableIterator<Token>} - Search tokens
      */
     async *[Symbol.asyncIterator]() {
-      const reader = this._readableStream.getReader();
-      try {
-        while (true) {
-          const result = await reader.read();
-          if (result.done) {
-            break;
-          }
-
-          yield* this._search.feed(result.value);
-        }
+      for await (const chunk of iteratePartData(this._readableStream)) {
+        yield* this._search.feed(chunk);
+      }
 
-        const tail = this._search.end();
-        if (tail.length) {
-          yield tail;
-        }
-      } finally {
-        reader.releaseLock();
+      const tail = this._search.end();
+      if (tail.length) {
+        yield tail;
       }
     }
   }
@@ -447,6 +461,145 @@
   // Constants
   const dash = stringToArray("--");
   const CRLF = stringToArray("\r\n");
+  const CR = stringToArray("\r");
+  const LF = stringToArray("\n");
+
+  /**
+   * Stable error codes for multipart failures
+   * @typedef {"BAD_CONTENT_TYPE"|"BAD_BOUNDARY"|"UNEXPECTED_EOF"|"UNEXPECTED_BOUNDARY"|"MISSING_DISPOSITION"|"BAD_DISPOSITION"|"BAD_HEADER"|"LIMIT_EXCEEDED"|"DATA_DISCARDED"|"BODY_USED"|"HASH_MISMATCH"|"VALIDATION_FAILED"} MultipartErrorCode
+   */
+
+  /**
+   * Where in the input an error occurred
+   * @typedef {Object} MultipartErrorContext
+   * @property {number} [partIndex] - Index of the part
+   * @property {string} [name] - Field name of the part, if known
+   * @property {number} [offset] - Byte offset in the input
+   */
+
+  /**
+   * Base class of all errors thrown for multipart input
+   */
+  class MultipartError extends Error {
+    /**
+     * @param {MultipartErrorCode} code - Stable error code
+     * @param {string} message - Error message
+     * @param {MultipartErrorContext} [context] - Where the error occurred
+     */
+    constructor(code, message, { partIndex, name, offset } = {}) {
+      super(message);
+      this.name = "MultipartError";
+      this.code = code;
+      /** @type {number|undefined} */
+      this.partIndex = partIndex;
+      /** @type {string|undefined} */
+      this.fieldName = name;
+      /** @type {number|undefined} */
+      this.offset = offset;
+    }
+  }
+
+  /**
+   * Error thrown when the multipart input is malformed
+   */
+  class MultipartParseError extends MultipartError {
+    /**
+     * @param {MultipartErrorCode} code - Stable error code
+     * @param {string} message - Error message
+     * @param {MultipartErrorContext} [context] - Where the error occurred
+     */
+    constructor(code, message, context) {
+      super(code, message, context);
+      this.name = "MultipartParseError";
+    }
+  }
+
+  /**
+   * Fill in the context of an error that was thrown without knowing it
+   * @param {unknown} error - The thrown error
+   * @param {MultipartErrorContext} context - Where the error occurred
+   * @returns {unknown} - The same error
+   */
+  function withErrorContext(error, { partIndex, name, offset }) {
+    if (error instanceof MultipartError) {
+      error.partIndex ??= partIndex;
+      error.fieldName ??= name;
+      error.offset ??= offset;
+    }
+    return error;
+  }
+
+  /**
+   * Limits to protect the parser against oversized or malicious input
+   * @typedef {Object} MultipartLimits
+   * @property {number} [maxParts] - Maximum number of parts
+   * @property {number} [maxHeaderBytes] - Maximum size of the header block of a single part
+   * @property {number} [maxHeaderLines] - Maximum number of header lines of a single part
+   * @property {number} [maxFieldSize] - Maximum size of the data of a non-file part
+   * @property {number} [maxFileSize] - Maximum size of the data of a file part
+   * @property {number} [maxFiles] - Maximum number of file parts
+   * @property {number} [maxTotalBytes] - Maximum size of the whole multipart body
+   * @property {number} [maxDepth] - Maximum nesting depth of multipart parts, with the `nested` option. Defaults to 10
+   */
+
+  /**
+   * Error thrown when one of the MultipartLimits is exceeded
+   */
+  class MultipartLimitError extends MultipartError {
+    /**
+     * @param {keyof MultipartLimits} limit - Name of the limit that was exceeded
+     * @param {number} max - Configured value of the limit
+     * @param {{partIndex: number, name?: string, offset: number}} context - Where the limit was exceeded
+     */
+    constructor(limit, max, context) {
+      super(
+        "LIMIT_EXCEEDED",
+        `multipart limit exceeded: ${limit} (${max}) in part ${context.partIndex}` +
+          (context.name !== undefined ? ` ("${context.name}")` : "") +
+          ` at byte ${context.offset}`,
+        context,
+      );
+      this.name = "MultipartLimitError";
+      /** @type {keyof MultipartLimits} */
+      this.limit = limit;
+      this.max = max;
+    }
+  }
+
+  /**
+   * @typedef {"UNKNOWN_FIELD"|"MIN_COUNT"|"MAX_COUNT"|"EXPECTED_FILE"|"EXPECTED_FIELD"|"MAX_SIZE"|"TYPE"|"FILENAME"} ValidationIssueCode
+   */
+
+  /**
+   * One way in which a multipart body does not match a FormSchema
+   * @typedef {Object} ValidationIssue
+   * @property {ValidationIssueCode} code - Stable issue code
+   * @property {string} field - Field name
+   * @property {number} [partIndex] - Index of the part, absent for fields that are missing
+   * @property {string} message - Human readable description
+   * @property {number|string|string[]} [expected] - The constraint, like the maximum size or the allowed types
+   * @property {number|string} [actual] - The value that broke it, like the count or the type
+   */
+
+  /**
+   * Error thrown when a multipart body does not match a FormSchema
+   */
+  class MultipartValidationError extends MultipartError {
+    /**
+     * @param {ValidationIssue[]} issues - All issues found, at least one
+     */
+    constructor(issues) {
+      super(
+        "VALIDATION_FAILED",
+        "multipart validation failed: " +
+          issues.map((issue) => issue.message).join("; "),
+        { partIndex: issues[0].partIndex, name: issues[0].field },
+      );
+      this.name = "MultipartValidationError";
+      /** @type {ValidationIssue[]} */
+      this.issues = issues;
+    }
+  }
 
   /**
    * Split a string by semicolons, respecting quoted values
@@ -488,18 +641,20 @@
   function parseKeyValue(str) {
     const equals = str.indexOf("=");
     if (equals < 0) {
-      throw new Error(
+      throw new MultipartParseError(
+        "BAD_HEADER",
         "malformed key-value string: missing value in `" + str + "`",
       );
     }
 
-    const key = str.slice(0, equals);
-    const rawValue = str.slice(equals + 1);
+    const key = str.slice(0, equals).trim();
+    const rawValue = str.slice(equals + 1).trim();
 
     let value = "";
     if (rawValue.startsWith('"')) {
       if (!rawValue.endsWith('"')) {
-        throw new Error(
+        throw new MultipartParseError(
+          "BAD_HEADER",
           "malformed key-value string: mismatched quotations in `" +
             rawValue +
             "`",
@@ -526,29 +681,226 @@
     return [key, value];
   }
 
+  /**
+   * @typedef {Object} ContentType
+   * @property {string} type - Lowercased top-level type, e.g. "multipart"
+   * @property {string} subtype - Lowercased subtype, e.g. "form-data"
+   * @property {Record<string, string>} params - Parameters with lowercased names and unquoted values
+   */
+
+  // RFC 7230 token
+  const TOKEN_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+
+  // RFC 2046: 1-70 bchars, not ending with a space
+  const BOUNDARY_PATTERN =
+    /^[0-9a-z'()+_,\-./:=? ]{0,69}[0-9a-z'()+_,\-./:=?]$/i;
+
+  /**
+   * Parse a Content-Type header
+   * @param {string} header - Header value
+   * @returns {ContentType} - Parsed content type
+   */
+  function parseContentType(header) {
+    const [mediaType, ...parts] = splitSemis(header).map((part) => part.trim());
+    const [type, subtype, ...rest] = mediaType.split("/").map((s) => s.trim());
+
+    if (
+      rest.length ||
+      !TOKEN_PATTERN.test(type) ||
+      !TOKEN_PATTERN.test(subtype ?? "")
+    ) {
+      throw new MultipartParseError(
+        "BAD_CONTENT_TYPE",
+        "malformed content-type header: invalid media type in `" + header + "`",
+      );
+    }
+
+    /** @type {Record<string, string>} */
+    const params = {};
+    for (const part of parts) {
+      if (!part) {
+        continue;
+      }
+
+      const [name, value] = parseKeyValue(part);
+      params[name.toLowerCase()] = value;
+    }
+
+    return { type: type.toLowerCase(), subtype: subtype.toLowerCase(), params };
+  }
+
+  /**
+   * Check that a boundary is valid according to RFC 2046
+   * @param {string} boundary - Boundary string
+   * @returns {string} - The same boundary
+   */
+  function validateBoundary(boundary) {
+    if (typeof boundary !== "string" || !BOUNDARY_PATTERN.test(boundary)) {
+      throw new MultipartParseError(
+        "BAD_BOUNDARY",
+        "malformed boundary: expected 1-70 characters of digits, letters, spaces or '()+_,-./:=? not ending with a space, got " +
+          JSON.stringify(boundary),
+      );
+    }
+    return boundary;
+  }
+
+  /**
+   * Get the boundary from a multipart Content-Type header
+   * @param {string|null|undefined} contentType - Header value
+   * @returns {string} - The validated boundary
+   */
+  function getBoundary(contentType) {
+    if (!contentType) {
+      throw new MultipartParseError(
+        "BAD_CONTENT_TYPE",
+        "missing content-type header: needed for the multipart boundary",
+      );
+    }
+
+    const { type, params } = parseContentType(contentType);
+    if (type !== "multipart") {
+      throw new MultipartParseError(
+        "BAD_CONTENT_TYPE",
+        "malformed content-type header: expected multipart/*, got `" +
+          contentType +
+          "`",
+      );
+    }
+
+    if (params.boundary === undefined) {
+      throw new MultipartParseError(
+        "BAD_BOUNDARY",
+        "malformed content-type header: missing boundary in `" +
+          contentType +
+          "`",
+      );
+    }
+
+    return validateBoundary(params.boundary);
+  }
+
+  /**
+   * Decode a percent-encoded string to bytes
+   * @param {string} str - Percent-encoded string
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  function percentDecode(str) {
+    return mergeArrays(
+      ...str
+        .split(/(%[0-9a-f]{2})/i)
+        .map((segment) =>
+          /^%[0-9a-f]{2}$/i.test(segment)
+            ? Uint8Array.of(parseInt(segment.slice(1), 16))
+            : stringToArray(segment),
+        ),
+    );
+  }
+
+  /**
+   * Decode RFC 2231 parameters (`key*`, `key*0`, `key*0*`, ...) into plain ones.
+   * Extended values take precedence over plain values with the same name.
+   * @param {Record<string, string>} params - Parameters with lowercased names
+   * @returns {Record<string, string>} - Decoded parameters
+   */
+  function decodeExtendedParams(params) {
+    /** @type {Record<string, string>} */
+    const out = {};
+    /** @type {Record<string, string>} */
+    const extended = {};
+    /** @type {Record<string, {index: number, value: string, encoded: boolean}[]>} */
+    const continuations = {};
+
+    for (const [key, value] of Object.entries(params)) {
+      const match = key.match(/^(.+?)(?:\*(\d+))?(\*)?$/);
+      if (!match || (match[2] === undefined && !match[3])) {
+        out[key] = value;
+      } else if (match[2] === undefined) {
+        extended[match[1]] = decodeExtendedValue([value], [true]);
+      } else {
+        (continuations[match[1]] ||= []).push({
+          index: Number(match[2]),
+          value,
+          encoded: !!match[3],
+        });
+      }
+    }
+
+    for (const [name, segments] of Object.entries(continuations)) {
+      segments.sort((a, b) => a.index - b.index);
+      // continuations must be numbered from 0 without gaps
+      const valid = segments.filter((segment, i) => segment.index === i);
+      out[name] = decodeExtendedValue(
+        valid.map((segment) => segment.value),
+        valid.map((segment) => segment.encoded),
+      );
+    }
+
+    return Object.assign(out, extended);
+  }
+
+  /**
+   * Decode the (continued) segments of an RFC 2231 value. The first encoded
+   * segment starts with `charset'language'`.
+   * @param {string[]} values - Raw values of the segments
+   * @param {boolean[]} encoded - Whether each segment is percent-encoded
+   * @returns {string} - Decoded value
+   */
+  function decodeExtendedValue(values, encoded) {
+    let charset = "utf-8";
+    const first = encoded[0] && values[0].match(/^([^']*)'[^']*'(.*)$/);
+    if (first) {
+      charset = first[1] || charset;
+      values = [first[2], ...values.slice(1)];
+    }
+
+    return decodeText(
+      mergeArrays(
+        ...values.map((value, i) =>
+          encoded[i] ? percentDecode(value) : stringToArray(value),
+        ),
+      ),
+      charset,
+    );
+  }
+
   /**
    * Parse a Content-Disposition header
    * @param {string} header - Header value
+   * @param {boolean} [generic] - Accept any disposition type, like "inline" or
+   * "attachment", and no name, as in MIME multiparts other than form-data
    * @returns {ContentDisposition} - Parsed content disposition
    */
-  function parseContentDisposition(header) {
+  function parseContentDisposition(header, generic = false) {
     const parts = splitSemis(header).map((part) => part.trim());
-    if (parts.shift() !== "form-data") {
-      throw new Error(
-        'malformed content-disposition header: missing "form-data" in `' +
-          JSON.stringify(parts) +
+    const type = parts.shift();
+    if (generic ? !type : type !== "form-data") {
+      throw new MultipartParseError(
+        "BAD_DISPOSITION",
+        "malformed content-disposition header: " +
+          (generic ? "missing disposition type" : 'missing "form-data"') +
+          " in `" +
+          header +
           "`",
       );
     }
 
-    const out = {};
+    /** @type {Record<string, string>} */
+    const params = {};
     for (const part of parts) {
+      if (!part) {
+        continue;
+      }
+
       const [name, value] = parseKeyValue(part);
-      out[name] = value;
+      params[name.toLowerCase()] = value;
     }
 
-    if (!out.name) {
-      throw new Error(
+    const out = decodeExtendedParams(params);
+
+    if (!out.name && !generic) {
+      throw new MultipartParseError(
+        "BAD_DISPOSITION",
         "malformed content-disposition header: missing field name in `" +
           header +
           "`",
@@ -558,12 +910,43 @@
     return out;
   }
 
+  /**
+   * A range of bytes, like in a Content-Range header. `end` is inclusive.
+   * @typedef {Object} ByteRange
+   * @property {number} start - First byte
+   * @property {number} end - Last byte
+   * @property {number} [total] - Size of the whole resource, if known
+   */
+
+  /**
+   * Parse a Content-Range header, like "bytes 0-499/1234" or "bytes 0-499/*"
+   * @param {string} header - Header value
+   * @returns {ByteRange} - The range
+   */
+  function parseContentRange(header) {
+    const match = /^bytes\s+(\d+)-(\d+)\/(\d+|\*)$/i.exec(header.trim());
+    const start = Number(match?.[1]);
+    const end = Number(match?.[2]);
+    const total = match?.[3] === "*" ? undefined : Number(match?.[3]);
+    if (!match || end < start || (total !== undefined && end >= total)) {
+      throw new MultipartParseError(
+        "BAD_HEADER",
+        "malformed content-range header: `" + header + "`",
+      );
+    }
+
+    return total === undefined ? { start, end } : { start, end, total };
+  }
+
   /**
    * Parse part headers from lines
    * @param {string[]} lines - Header lines
+   * @param {boolean} [generic] - Don't require a form-data Content-Disposition, see
+   * parseContentDisposition. The raw header is kept as "content-disposition" then.
    * @returns {Omit<Part, 'data'>} - Parsed part info without data
    */
-  function parsePartHeaders(lines) {
+  function parsePartHeaders(lines, generic = false) {
+    /** @type {[string, any][]} */
     const entries = [];
     let disposition = false;
 
@@ -571,7 +954,10 @@
     while (typeof (line = lines.shift()) !== "undefined") {
       const colon = line.indexOf(":");
       if (colon === -1) {
-        throw new Error("malformed multipart-form header: missing colon");
+        throw new MultipartParseError(
+          "BAD_HEADER",
+          "malformed multipart-form header: missing colon",
+        );
       }
 
       const header = line.slice(0, colon).trim().toLowerCase();
@@ -579,7 +965,20 @@
       switch (header) {
         case "content-disposition":
           disposition = true;
-          entries.push(...Object.entries(parseContentDisposition(value)));
+          if (generic) {
+            entries.push([header, value]);
+          }
+          entries.push(
+            ...Object.entries(parseContentDisposition(value, generic)),
+          );
+          break;
+
+        case "content-range":
+          entries.push([header, value]);
+          // Parts of a multipart/byteranges response, which is parsed in generic mode
+          if (generic) {
+            entries.push(["range", parseContentRange(value)]);
+          }
           break;
 
         default:
@@ -588,51 +987,97 @@
       }
     }
 
-    if (!disposition) {
-      throw new Error(
+    if (!disposition && !generic) {
+      throw new MultipartParseError(
+        "MISSING_DISPOSITION",
         "malformed multipart-form header: missing content-disposition",
       );
     }
 
-    return Object.fromEntries(entries);
+    return /** @type {Omit<Part, 'data'>} */ (Object.fromEntries(entries));
+  }
+
+  /**
+   * A deviation from the multipart format that was tolerated with `strict: false`
+   * @typedef {Object} MultipartWarning
+   * @property {"BARE_LF"|"MISSING_CRLF"|"TRANSPORT_PADDING"|"HEADER_FOLDING"|"MISSING_CLOSING_BOUNDARY"} code - What was tolerated
+   * @property {string} message - Description
+   * @property {number} partIndex - Index of the part
+   * @property {number} offset - Byte offset in the input
+   */
+
+  /**
+   * Options for reading a header block
+   * @typedef {MultipartLimits & {strict?: boolean, onWarning?: function(MultipartWarning): void}} HeaderOptions
+   */
+
+  /**
+   * Reports a tolerated deviation to the onWarning callback
+   * @param {HeaderOptions} options - Parser options
+   * @param {MultipartWarning} warning - The warning
+   * @returns {void}
+   */
+  function warn(options, warning) {
+    options.onWarning?.(warning);
   }
 
   /**
    * Read header lines from iterator
-   * @param {AsyncIterableIterator<Token>} it - Token iterator
+   * @param {AsyncIterableIterator<Token> & {offset?: number}} it - Token iterator, optionally tracking the byte offset
    * @param {Uint8Array} needle - Boundary pattern
+   * @param {HeaderOptions} [options] - Limits for the header block, and whether to be strict
+   * @param {number} [partIndex] - Index of the part, used in errors
    * @returns {Promise<[string[]|undefined, Uint8Array]>} - Header lines and remaining data
    */
-  async function readHeaderLines(it, needle) {
+  async function readHeaderLines(it, needle, options = {}, partIndex = 0) {
+    const { maxHeaderBytes, maxHeaderLines, strict = true } = options;
+    const start = it.offset || 0;
+    // Lenient parsing splits lines at LF, and drops the CR of CRLF line endings
+    const separator = strict ? CRLF : LF;
+    let headerBytes = 0;
+    let lineCount = 0;
     let firstChunk = true;
+    /** @type {Uint8Array} */
+    let head = new Uint8Array();
     let lastTokenWasMatch = false;
-    const headerLines = [[]];
-    const crlfSearch = new StreamSearch(CRLF);
+    let bareLF = false;
+    /** @type {Uint8Array[]} */
+    const lines = [];
+    /** @type {Uint8Array[]} */
+    let line = [];
+    const lineSearch = new StreamSearch(separator);
 
     for (;;) {
       const result = await it.next();
       if (result.done) {
-        throw new Error(
+        if (!strict) {
+          warn(options, {
+            code: "MISSING_CLOSING_BOUNDARY",
+            message: "multipart body ended without a closing boundary",
+            partIndex,
+            offset: it.offset || 0,
+          });
+          return [undefined, new Uint8Array()];
+        }
+
+        throw new MultipartParseError(
+          "UNEXPECTED_EOF",
           "malformed multipart-form data: unexpected end of stream",
+          { partIndex, offset: it.offset },
         );
       }
 
-      if (
-        firstChunk &&
-        result.value !== MATCH &&
-        arraysEqual(result.value.slice(0, 2), dash)
-      ) {
-        // end of multipart payload, beginning of epilogue
-        return [undefined, new Uint8Array()];
-      }
-
       let chunk;
       if (result.value !== MATCH) {
         chunk = result.value;
       } else if (!lastTokenWasMatch) {
         chunk = needle;
       } else {
-        throw new Error("malformed multipart-form data: unexpected boundary");
+        throw new MultipartParseError(
+          "UNEXPECTED_BOUNDARY",
+          "malformed multipart-form data: unexpected boundary",
+          { partIndex, offset: it.offset },
+        );
       }
 
       if (!chunk.length) {
@@ -640,324 +1085,3958 @@
       }
 
       if (firstChunk) {
+        if (result.value !== MATCH) {
+          // the closing "--" may be split across chunks
+          head = mergeArrays(head, chunk);
+          if (head.length < dash.length) {
+            continue;
+          }
+
+          if (arraysEqual(head.slice(0, 2), dash)) {
+            // end of multipart payload, beginning of epilogue
+            return [undefined, new Uint8Array()];
+          }
+
+          chunk = head;
+        } else if (head.length) {
+          chunk = mergeArrays(head, chunk);
+        }
+
         firstChunk = false;
       }
 
-      const tokens = crlfSearch.feed(chunk);
+      const tokens = lineSearch.feed(chunk);
       for (const [i, token] of tokens.entries()) {
         const isMatch = token === MATCH;
-        if (!isMatch && !token.length) {
+        const bytes = isMatch ? separator : /** @type {Uint8Array} */ (token);
+        if (!isMatch && !bytes.length) {
           continue;
         }
 
-        if (lastTokenWasMatch && isMatch) {
-          tokens.push(crlfSearch.end());
+        if (isMatch) {
+          let content = mergeArrays(...line);
+          line = [];
+          if (!strict) {
+            if (content[content.length - 1] === CRLF[0]) {
+              content = content.subarray(0, -1);
+            } else {
+              bareLF = true;
+            }
+          }
+
+          // An empty line ends the header block, except for the rest of the boundary line
+          if (lines.length && !content.length) {
+            tokens.push(lineSearch.end());
 
-          return [
-            headerLines
-              .filter((chunks) => chunks.length)
-              .map((chunks) => mergeArrays(...chunks))
-              .map(arrayToString),
-            mergeArrays(
-              ...tokens
-                .slice(i + 1)
-                .map((token) => (token === MATCH ? CRLF : token)),
-            ),
-          ];
+            return [
+              finishHeaderLines(lines, bareLF, options, partIndex, start),
+              mergeArrays(
+                ...tokens
+                  .slice(i + 1)
+                  .map((token) =>
+                    token === MATCH
+                      ? separator
+                      : /** @type {Uint8Array} */ (token),
+                  ),
+              ),
+            ];
+          }
+
+          if (
+            !lines.length &&
+            !strict &&
+            /^[ \t]+$/.test(arrayToString(content))
+          ) {
+            warn(options, {
+              code: "TRANSPORT_PADDING",
+              message: "whitespace after the boundary",
+              partIndex,
+              offset: start,
+            });
+            content = new Uint8Array();
+          }
+          lines.push(content);
         }
 
-        if ((lastTokenWasMatch = isMatch)) {
-          headerLines.push([]);
-        } else {
-          headerLines[headerLines.length - 1].push(token);
+        headerBytes += bytes.length;
+        if (maxHeaderBytes !== undefined && headerBytes > maxHeaderBytes) {
+          throw new MultipartLimitError("maxHeaderBytes", maxHeaderBytes, {
+            partIndex,
+            offset: start + maxHeaderBytes,
+          });
+        }
+
+        if (!(lastTokenWasMatch = isMatch)) {
+          if (!line.length) {
+            lineCount++;
+            if (maxHeaderLines !== undefined && lineCount > maxHeaderLines) {
+              throw new MultipartLimitError("maxHeaderLines", maxHeaderLines, {
+                partIndex,
+                offset: start + headerBytes - bytes.length,
+              });
+            }
+          }
+          line.push(bytes);
         }
       }
     }
   }
 
   /**
-   * Stream multipart form data
-   * @param {ReadableStream<Uint8Array>} body - Stream containing multipart data
-   * @param {string} boundary - Boundary string
-   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   * Decodes the lines of a header block. Lenient parsing unfolds continuation
+   * lines (obsolete line folding) and reports the deviations it tolerated.
+   * @param {Uint8Array[]} lines - Raw lines, without line endings
+   * @param {boolean} bareLF - Whether some lines ended with a bare LF
+   * @param {HeaderOptions} options - Parser options
+   * @param {number} partIndex - Index of the part
+   * @param {number} offset - Byte offset of the header block
+   * @returns {string[]} - The header lines
    */
-  async function* streamMultipart(body, boundary) {
-    const needle = mergeArrays(dash, stringToArray(boundary));
-    const it = new ReadableStreamSearch(needle, body)[Symbol.asyncIterator]();
+  function finishHeaderLines(lines, bareLF, options, partIndex, offset) {
+    const decoded = lines
+      .filter((line) => line.length)
+      .map((line) => decodeText(line));
+    if (options.strict ?? true) {
+      return decoded;
+    }
 
-    // discard prologue
-    for (;;) {
-      const result = await it.next();
-      if (result.done) {
-        // EOF
-        return;
-      }
+    if (bareLF) {
+      warn(options, {
+        code: "BARE_LF",
+        message: "header lines end with LF instead of CRLF",
+        partIndex,
+        offset,
+      });
+    }
 
-      if (result.value === MATCH) {
-        break;
+    /** @type {string[]} */
+    const unfolded = [];
+    for (const line of decoded) {
+      if (/^[ \t]/.test(line) && unfolded.length) {
+        warn(options, {
+          code: "HEADER_FOLDING",
+          message: "header continued on the next line",
+          partIndex,
+          offset,
+        });
+        unfolded[unfolded.length - 1] += " " + line.trim();
+      } else {
+        unfolded.push(line);
       }
     }
+    return unfolded;
+  }
 
-    const crlfSearch = new StreamSearch(CRLF);
+  /**
+   * Gets the reason of an aborted signal, defaulting to an AbortError
+   * @param {AbortSignal} signal - The aborted signal
+   * @returns {unknown} - The reason
+   */
+  function abortReason(signal) {
+    if (signal.reason !== undefined) {
+      return signal.reason;
+    }
+    if (typeof DOMException !== "undefined") {
+      return new DOMException("The operation was aborted", "AbortError");
+    }
+    const error = new Error("The operation was aborted");
+    error.name = "AbortError";
+    return error;
+  }
 
-    for (;;) {
-      const [headerLines, tail] = await readHeaderLines(it, needle);
-      if (!headerLines) {
-        return;
-      }
+  /**
+   * Throws the abort reason if the signal is aborted
+   * @param {AbortSignal} [signal] - The signal
+   */
+  function throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw abortReason(signal);
+    }
+  }
 
-      /**
-       * Get next token from iterator
-       * @returns {Promise<IteratorYieldResult<Token>>} - Token result
-       */
-      async function nextToken() {
-        const result = await it.next();
-        if (result.done) {
-          throw new Error(
-            "malformed multipart-form data: unexpected end of stream",
-          );
-        }
-        return result;
-      }
+  /**
+   * Rejects with the abort reason as soon as the signal is aborted, without
+   * waiting for the promise
+   * @template T
+   * @param {Promise<T>} promise - The promise to race
+   * @param {AbortSignal} [signal] - The signal
+   * @returns {Promise<T>} - The result of the promise
+   */
+  function abortable(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
 
-      let trailingCRLF = false;
+    if (signal.aborted) {
+      promise.catch(() => {});
+      return Promise.reject(abortReason(signal));
+    }
 
-      /**
-       * Feed chunk to CRLF search
-       * @param {Uint8Array} chunk - Chunk to process
-       * @returns {Uint8Array} - Processed chunk
-       */
-      function feedChunk(chunk) {
-        const chunks = [];
-        for (const token of crlfSearch.feed(chunk)) {
-          if (trailingCRLF) {
-            chunks.push(CRLF);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(abortReason(signal));
+      signal.addEventListener("abort", onAbort, { once: true });
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener("abort", onAbort));
+    });
+  }
+
+  /**
+   * Incremental encoder or decoder of a byte stream
+   * @typedef {Object} ChunkCodec
+   * @property {function(Uint8Array): Uint8Array} update - Process a chunk, returning the output that is complete so far
+   * @property {function(): Uint8Array} end - Flush the remaining output
+   */
+
+  const BASE64_ALPHABET =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  const BASE64_LOOKUP = new Int8Array(256).fill(-1);
+  for (let i = 0; i < BASE64_ALPHABET.length; i++) {
+    BASE64_LOOKUP[BASE64_ALPHABET.charCodeAt(i)] = i;
+  }
+  // url-safe alphabet
+  BASE64_LOOKUP[45] = 62;
+  BASE64_LOOKUP[95] = 63;
+
+  // Line length of base64 and quoted-printable output (RFC 2045)
+  const MAX_LINE_LENGTH = 76;
+
+  const HEX_DIGITS = "0123456789ABCDEF";
+
+  /**
+   * Creates a base64 decoder. Whitespace and other characters outside of the
+   * alphabet are ignored, so partial quads are carried across chunks.
+   * @returns {ChunkCodec} - The decoder
+   */
+  function createBase64Decoder() {
+    let bits = 0;
+    let bitCount = 0;
+    let padded = false;
+
+    return {
+      update(chunk) {
+        const out = new Uint8Array(Math.ceil((chunk.length * 3) / 4) + 1);
+        let length = 0;
+        for (const byte of chunk) {
+          if (byte === 61) {
+            // "=" padding ends the data
+            padded = true;
+          }
+
+          const value = BASE64_LOOKUP[byte];
+          if (padded || value < 0) {
+            continue;
           }
 
-          if (!(trailingCRLF = token === MATCH)) {
-            chunks.push(token);
+          bits = (bits << 6) | value;
+          bitCount += 6;
+          if (bitCount >= 8) {
+            bitCount -= 8;
+            out[length++] = (bits >> bitCount) & 0xff;
+            bits &= (1 << bitCount) - 1;
           }
         }
-        return mergeArrays(...chunks);
-      }
+        return out.subarray(0, length);
+      },
+      end() {
+        return new Uint8Array();
+      },
+    };
+  }
 
-      let done = false;
+  /**
+   * Creates a base64 encoder that wraps lines at 76 characters
+   * @returns {ChunkCodec} - The encoder
+   */
+  function createBase64Encoder() {
+    let carry = new Uint8Array();
+    let column = 0;
 
-      /**
-       * Get next data chunk
-       * @returns {Promise<IteratorYieldResult<Uint8Array>>} - Chunk result
-       */
-      async function nextChunk() {
-        const result = await nextToken();
+    /**
+     * @param {Uint8Array} data - Bytes to encode
+     * @param {boolean} final - Whether to pad the last incomplete triple
+     * @returns {Uint8Array} - Encoded bytes
+     */
+    function encode(data, final) {
+      const full = final ? data.length : data.length - (data.length % 3);
+      const chars = [];
+      for (let i = 0; i < full; i += 3) {
+        const triple =
+          (data[i] << 16) | ((data[i + 1] ?? 0) << 8) | (data[i + 2] ?? 0);
+        chars.push(
+          BASE64_ALPHABET[triple >> 18],
+          BASE64_ALPHABET[(triple >> 12) & 63],
+          i + 1 < full ? BASE64_ALPHABET[(triple >> 6) & 63] : "=",
+          i + 2 < full ? BASE64_ALPHABET[triple & 63] : "=",
+        );
+      }
+      carry = data.slice(full);
 
-        let chunk;
-        if (result.value !== MATCH) {
-          chunk = result.value;
-        } else if (!trailingCRLF) {
-          chunk = CRLF;
-        } else {
-          done = true;
-          return { value: crlfSearch.end() };
+      let out = "";
+      for (const char of chars) {
+        if (column === MAX_LINE_LENGTH) {
+          out += "\r\n";
+          column = 0;
         }
-
-        return { value: feedChunk(chunk) };
+        out += char;
+        column++;
       }
+      return stringToArray(out);
+    }
 
-      const bufferedChunks = [{ value: feedChunk(tail) }];
+    return {
+      update(chunk) {
+        return encode(mergeArrays(carry, chunk), false);
+      },
+      end() {
+        return encode(carry, true);
+      },
+    };
+  }
 
-      const headerLinesResult = [...(headerLines || [])];
+  /**
+   * Creates a quoted-printable decoder. Soft line breaks, escapes and
+   * trailing whitespace that are split across chunks are carried over.
+   * @returns {ChunkCodec} - The decoder
+   */
+  function createQuotedPrintableDecoder() {
+    let carry = new Uint8Array();
 
-      yield {
-        ...parsePartHeaders(headerLines),
-        headerLines: headerLinesResult,
-        data: {
-          [Symbol.asyncIterator]() {
-            return this;
-          },
-          async next() {
-            for (;;) {
-              const result = bufferedChunks.shift();
-              if (!result) {
-                break;
-              }
+    /**
+     * @param {number} byte - A byte
+     * @returns {number} - Its value as a hex digit, or -1
+     */
+    function hexValue(byte) {
+      return HEX_DIGITS.indexOf(String.fromCharCode(byte).toUpperCase());
+    }
 
-              if (result.value.length > 0) {
-                return result;
-              }
+    return {
+      update(chunk) {
+        const data = carry.length ? mergeArrays(carry, chunk) : chunk;
+        const out = new Uint8Array(data.length);
+        let length = 0;
+        let i = 0;
+        carry = new Uint8Array();
+
+        while (i < data.length) {
+          const byte = data[i];
+
+          if (byte === 61) {
+            // "="
+            if (data[i + 1] === 10) {
+              // soft line break with bare LF
+              i += 2;
+            } else if (i + 2 >= data.length) {
+              carry = data.slice(i);
+              break;
+            } else if (data[i + 1] === 13 && data[i + 2] === 10) {
+              // soft line break
+              i += 3;
+            } else if (
+              hexValue(data[i + 1]) >= 0 &&
+              hexValue(data[i + 2]) >= 0
+            ) {
+              out[length++] =
+                hexValue(data[i + 1]) * 16 + hexValue(data[i + 2]);
+              i += 3;
+            } else {
+              // not a valid escape, keep it as is
+              out[length++] = byte;
+              i++;
+            }
+          } else if (byte === 32 || byte === 9) {
+            // whitespace at the end of a line is padding and must be removed
+            let end = i;
+            while (end < data.length && (data[end] === 32 || data[end] === 9)) {
+              end++;
             }
 
-            for (;;) {
-              if (done) {
-                return { done, value: undefined };
-              }
+            if (end === data.length) {
+              carry = data.slice(i);
+              break;
+            }
 
-              const result = await nextChunk();
-              if (result.value.length > 0) {
-                return result;
-              }
+            if (data[end] !== 13 && data[end] !== 10) {
+              out.set(data.subarray(i, end), length);
+              length += end - i;
             }
-          },
-        },
-      };
+            i = end;
+          } else {
+            out[length++] = byte;
+            i++;
+          }
+        }
+
+        return out.subarray(0, length);
+      },
+      end() {
+        const rest = carry;
+        carry = new Uint8Array();
+        // trailing whitespace is dropped, an incomplete escape is kept as is
+        return rest[0] === 61 ? rest : new Uint8Array();
+      },
+    };
+  }
+
+  /**
+   * Creates a quoted-printable encoder that wraps lines at 76 characters.
+   * CRLF pairs are kept as line breaks, any other control byte is escaped.
+   * @returns {ChunkCodec} - The encoder
+   */
+  function createQuotedPrintableEncoder() {
+    let column = 0;
+    let pendingCR = false;
+    /** @type {number|undefined} */
+    let pendingWhitespace;
+    let out = "";
+
+    /**
+     * @param {string} token - Encoded character
+     */
+    function push(token) {
+      if (column + token.length > MAX_LINE_LENGTH - 1) {
+        out += "=\r\n";
+        column = 0;
+      }
+      out += token;
+      column += token.length;
+    }
+
+    /**
+     * @param {number} byte - Byte to escape
+     * @returns {string} - The escaped byte
+     */
+    function escape(byte) {
+      return "=" + HEX_DIGITS[byte >> 4] + HEX_DIGITS[byte & 15];
+    }
 
-      while (!done) {
-        bufferedChunks.push(await nextChunk());
+    /**
+     * Writes the pending whitespace, which must be escaped at the end of a line
+     * @param {boolean} endOfLine - Whether the line ends here
+     */
+    function flushWhitespace(endOfLine) {
+      if (pendingWhitespace !== undefined) {
+        push(
+          endOfLine
+            ? escape(pendingWhitespace)
+            : String.fromCharCode(pendingWhitespace),
+        );
+        pendingWhitespace = undefined;
       }
     }
+
+    return {
+      update(chunk) {
+        for (const byte of chunk) {
+          if (pendingCR) {
+            pendingCR = false;
+            if (byte === 10) {
+              flushWhitespace(true);
+              out += "\r\n";
+              column = 0;
+              continue;
+            }
+            flushWhitespace(false);
+            push(escape(13));
+          }
+
+          if (byte === 13) {
+            pendingCR = true;
+          } else if (byte === 32 || byte === 9) {
+            flushWhitespace(false);
+            pendingWhitespace = byte;
+          } else {
+            flushWhitespace(false);
+            push(
+              byte > 32 && byte < 127 && byte !== 61
+                ? String.fromCharCode(byte)
+                : escape(byte),
+            );
+          }
+        }
+
+        const result = stringToArray(out);
+        out = "";
+        return result;
+      },
+      end() {
+        flushWhitespace(!pendingCR);
+        if (pendingCR) {
+          pendingCR = false;
+          push(escape(13));
+        }
+        const result = stringToArray(out);
+        out = "";
+        return result;
+      },
+    };
+  }
+
+  /**
+   * Creates a decoder for a Content-Transfer-Encoding
+   * @param {string|undefined} encoding - The transfer encoding
+   * @returns {ChunkCodec|undefined} - The decoder, or undefined if the data isn't encoded
+   */
+  function createTransferDecoder(encoding) {
+    switch (encoding?.trim().toLowerCase()) {
+      case "base64":
+        return createBase64Decoder();
+      case "quoted-printable":
+        return createQuotedPrintableDecoder();
+      default:
+        return undefined;
+    }
   }
 
-  ///////////////////////////////////////////////////////////////
-  /////THE FOLLOWING HAS BEEN ADDED BY JAN WILMAKE///////////////
-  ///////////////////////////////////////////////////////////////
+  /**
+   * Creates an encoder for a Content-Transfer-Encoding
+   * @param {string|undefined} encoding - The transfer encoding
+   * @returns {ChunkCodec|undefined} - The encoder, or undefined if the data doesn't need encoding
+   */
+  function createTransferEncoder(encoding) {
+    switch (encoding?.trim().toLowerCase()) {
+      case "base64":
+        return createBase64Encoder();
+      case "quoted-printable":
+        return createQuotedPrintableEncoder();
+      default:
+        return undefined;
+    }
+  }
 
   /**
-   * Options for getReadableStream function
-   * @typedef {Object} ReadableStreamOptions
-   * @property {string|null} contentType - content-type of the request or response. used to retrieve the boundary
-   * @property {ReadableStream<Uint8Array<ArrayBufferLike>>|null} body - body of the request or response
-   * @property {function(Part): {ok:boolean,stop?:boolean}} [filterPart] - A sync function to filter out a part
-   * @property {function(Part): Promise<{part:Part|null,stop?:boolean}>} [transformPart] - An async function to transform a part or filter it out. You can edit any parameter here.
-   * @property {string} [outputBoundary] - Custom boundary for output. If not given, will reuse input boundary
+   * Passes chunks through a codec
+   * @param {AsyncIterable<Uint8Array>} chunks - Input chunks
+   * @param {ChunkCodec} codec - The encoder or decoder
+   * @returns {AsyncIterableIterator<Uint8Array>} - Output chunks
    */
+  async function* transformChunks(chunks, codec) {
+    for await (const chunk of chunks) {
+      const out = codec.update(chunk);
+      if (out.length) {
+        yield out;
+      }
+    }
+    const tail = codec.end();
+    if (tail.length) {
+      yield tail;
+    }
+  }
+
+  // Round constants of SHA-256 (FIPS 180-4, section 4.2.2)
+  const SHA256_K = Uint32Array.of(
+    0x428a2f98,
+    0x71374491,
+    0xb5c0fbcf,
+    0xe9b5dba5,
+    0x3956c25b,
+    0x59f111f1,
+    0x923f82a4,
+    0xab1c5ed5,
+    0xd807aa98,
+    0x12835b01,
+    0x243185be,
+    0x550c7dc3,
+    0x72be5d74,
+    0x80deb1fe,
+    0x9bdc06a7,
+    0xc19bf174,
+    0xe49b69c1,
+    0xefbe4786,
+    0x0fc19dc6,
+    0x240ca1cc,
+    0x2de92c6f,
+    0x4a7484aa,
+    0x5cb0a9dc,
+    0x76f988da,
+    0x983e5152,
+    0xa831c66d,
+    0xb00327c8,
+    0xbf597fc7,
+    0xc6e00bf3,
+    0xd5a79147,
+    0x06ca6351,
+    0x14292967,
+    0x27b70a85,
+    0x2e1b2138,
+    0x4d2c6dfc,
+    0x53380d13,
+    0x650a7354,
+    0x766a0abb,
+    0x81c2c92e,
+    0x92722c85,
+    0xa2bfe8a1,
+    0xa81a664b,
+    0xc24b8b70,
+    0xc76c51a3,
+    0xd192e819,
+    0xd6990624,
+    0xf40e3585,
+    0x106aa070,
+    0x19a4c116,
+    0x1e376c08,
+    0x2748774c,
+    0x34b0bcb5,
+    0x391c0cb3,
+    0x4ed8aa4a,
+    0x5b9cca4f,
+    0x682e6ff3,
+    0x748f82ee,
+    0x78a5636f,
+    0x84c87814,
+    0x8cc70208,
+    0x90befffa,
+    0xa4506ceb,
+    0xbef9a3f7,
+    0xc67178f2,
+  );
 
   /**
-   * Builds header lines from Part properties
-   * @param {Part} part - The part to generate headers for
-   * @returns {string[]} - Array of header lines
+   * An incremental hash
+   * @typedef {Object} IncrementalHash
+   * @property {function(Uint8Array): void} update - Hash more bytes
+   * @property {function(): string} digest - Finish and get the hash as lowercase hex
    */
-  function buildHeaderLines(part) {
-    const headers = [];
 
-    // Add Content-Disposition header
-    let contentDisposition = `Content-Disposition: form-data; name="${part.name}"`;
-    if (part.filename) {
-      contentDisposition += `; filename="${part.filename}"`;
+  /**
+   * Normalizes a hash algorithm name like "SHA-256" or "sha256"
+   * @param {string} algorithm - The algorithm
+   * @returns {"sha1"|"sha256"} - The normalized name
+   */
+  function normalizeHashAlgorithm(algorithm) {
+    const name = String(algorithm).toLowerCase().replace("-", "");
+    if (name !== "sha1" && name !== "sha256") {
+      throw new TypeError(`Unsupported hash algorithm: ${algorithm}`);
     }
-    headers.push(contentDisposition);
+    return name;
+  }
 
-    // Add any headers that ought to be headers
-    for (const [key, value] of Object.entries(part)) {
-      if (
-        !["name", "data", "headerLines", "filename"].includes(key) &&
-        typeof value === "string"
-      ) {
-        headers.push(`${key.charAt(0).toUpperCase() + key.slice(1)}: ${value}`);
+  /**
+   * Creates an incremental SHA-1 or SHA-256 hash. Web Crypto can only hash
+   * a whole buffer at once, so this is a plain implementation of FIPS 180-4.
+   * @param {string} algorithm - "SHA-1" or "SHA-256"
+   * @returns {IncrementalHash} - The hash
+   */
+  function createHash(algorithm) {
+    const sha1 = normalizeHashAlgorithm(algorithm) === "sha1";
+    const state = sha1
+      ? Uint32Array.of(
+          0x67452301,
+          0xefcdab89,
+          0x98badcfe,
+          0x10325476,
+          0xc3d2e1f0,
+        )
+      : Uint32Array.of(
+          0x6a09e667,
+          0xbb67ae85,
+          0x3c6ef372,
+          0xa54ff53a,
+          0x510e527f,
+          0x9b05688c,
+          0x1f83d9ab,
+          0x5be0cd19,
+        );
+    const block = new Uint8Array(64);
+    const view = new DataView(block.buffer);
+    const w = new Uint32Array(sha1 ? 80 : 64);
+    let blockLength = 0;
+    let total = 0;
+
+    /**
+     * Rotate left
+     * @param {number} x - 32-bit value
+     * @param {number} n - Bits to rotate by
+     * @returns {number} - Rotated value
+     */
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+    /**
+     * Hash the 64 bytes in `block`
+     * @returns {void}
+     */
+    function compress() {
+      for (let i = 0; i < 16; i++) {
+        w[i] = view.getUint32(i * 4);
+      }
+
+      if (sha1) {
+        for (let i = 16; i < 80; i++) {
+          w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+        }
+
+        let [a, b, c, d, e] = state;
+        for (let i = 0; i < 80; i++) {
+          let f, k;
+          if (i < 20) {
+            f = (b & c) | (~b & d);
+            k = 0x5a827999;
+          } else if (i < 40) {
+            f = b ^ c ^ d;
+            k = 0x6ed9eba1;
+          } else if (i < 60) {
+            f = (b & c) | (b & d) | (c & d);
+            k = 0x8f1bbcdc;
+          } else {
+            f = b ^ c ^ d;
+            k = 0xca62c1d6;
+          }
+          const t = (rotl(a, 5) + f + e + k + w[i]) | 0;
+          e = d;
+          d = c;
+          c = rotl(b, 30);
+          b = a;
+          a = t;
+        }
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        return;
+      }
+
+      for (let i = 16; i < 64; i++) {
+        const w15 = w[i - 15];
+        const w2 = w[i - 2];
+        const s0 = rotl(w15, 25) ^ rotl(w15, 14) ^ (w15 >>> 3);
+        const s1 = rotl(w2, 15) ^ rotl(w2, 13) ^ (w2 >>> 10);
+        w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+      }
+
+      let [a, b, c, d, e, f, g, h] = state;
+      for (let i = 0; i < 64; i++) {
+        const s1 = rotl(e, 26) ^ rotl(e, 21) ^ rotl(e, 7);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + s1 + ch + SHA256_K[i] + w[i]) | 0;
+        const s0 = rotl(a, 30) ^ rotl(a, 19) ^ rotl(a, 10);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + s0 + maj) | 0;
       }
+      state[0] += a;
+      state[1] += b;
+      state[2] += c;
+      state[3] += d;
+      state[4] += e;
+      state[5] += f;
+      state[6] += g;
+      state[7] += h;
     }
 
-    return headers;
+    /**
+     * Hash more bytes
+     * @param {Uint8Array} chunk - The bytes
+     * @returns {void}
+     */
+    function update(chunk) {
+      total += chunk.length;
+      let offset = 0;
+      while (offset < chunk.length) {
+        const n = Math.min(64 - blockLength, chunk.length - offset);
+        block.set(chunk.subarray(offset, offset + n), blockLength);
+        blockLength += n;
+        offset += n;
+        if (blockLength === 64) {
+          compress();
+          blockLength = 0;
+        }
+      }
+    }
+
+    return {
+      update,
+      digest() {
+        const bits = total * 8;
+        const padding = new Uint8Array(
+          (blockLength < 56 ? 56 : 120) - blockLength + 8,
+        );
+        padding[0] = 0x80;
+        const lengthView = new DataView(padding.buffer, padding.length - 8);
+        lengthView.setUint32(0, Math.floor(bits / 0x100000000));
+        lengthView.setUint32(4, bits >>> 0);
+        update(padding);
+
+        return Array.from(state, (word) =>
+          word.toString(16).padStart(8, "0"),
+        ).join("");
+      },
+    };
   }
 
   /**
-   * Formats a part header for multipart output
-   * @param {string[]} headerLines - Array of header lines
-   * @param {string} boundary - The multipart boundary
-   * @returns {string} - Formatted header string
+   * Options for streamMultipart
+   * @typedef {MultipartLimits & StreamMultipartBaseOptions} StreamMultipartOptions
    */
-  function formatPartHeader(headerLines, boundary) {
-    return `--${boundary}\r\n${headerLines.join("\r\n")}\r\n\r\n`;
+
+  /**
+   * @typedef {Object} StreamMultipartBaseOptions
+   * @property {"buffer"|"discard"|"block"} [unconsumedData] - What to do with the unread data of a part when the next part is requested.
+   * "buffer" (default) keeps it in memory so it can still be read later, "discard" drops it as it streams past,
+   * and "block" waits until the part is fully read or skip() is called before moving on.
+   * @property {boolean} [decodeTransferEncoding] - Decode base64 and quoted-printable parts while streaming.
+   * Decoded parts get "content-transfer-encoding" set to "binary", headerLines stay untouched.
+   * @property {AbortSignal} [signal] - Aborting cancels the body and rejects pending reads with the abort reason
+   * @property {"SHA-1"|"SHA-256"} [hash] - Hash the data of every part while it streams. Parts get a digest()
+   * method, and parts with an x-file-hash header are checked against it, failing with HASH_MISMATCH.
+   * @property {boolean} [generic] - Parse as a generic MIME multipart: Content-Disposition is optional and may
+   * be "inline" or "attachment". Defaults to true when a Content-Type other than multipart/form-data is given.
+   * @property {boolean} [nested] - Descend into parts that are multipart themselves, and yield their parts
+   * instead, flattened. Every part gets a `path` of indices and the headers of its `parents`.
+   * @property {boolean} [strict] - Set to false to tolerate bare LF line endings, a missing CRLF before a boundary,
+   * whitespace after a boundary, folded header lines and a missing closing boundary. Defaults to true.
+   * @property {function(MultipartWarning): void} [onWarning] - Called for every deviation tolerated with `strict: false`
+   */
+
+  /**
+   * Check whether a value looks like a Headers object
+   * @param {any} value - Value to check
+   * @returns {value is Headers} - Whether it has a Headers-like interface
+   */
+  function isHeaders(value) {
+    return (
+      !!value &&
+      typeof value.get === "function" &&
+      typeof value.has === "function" &&
+      typeof value.getReader !== "function"
+    );
   }
 
   /**
-   * Creates a readable stream of filtered and/or transformed multipart form-data
-   *
-   * @param {ReadableStreamOptions} options - Options for processing
-   * @returns {Promise<{readable: ReadableStream<Uint8Array>, boundary: string}>} - The output stream and boundary
+   * Resolve the body, boundary and options from the arguments of streamMultipart,
+   * and the parsed Content-Type if it was given
+   * @param {any[]} args - Arguments of streamMultipart
+   * @returns {{body: MultipartBody|null, boundary: string, options: StreamMultipartOptions, contentType?: ContentType}}
    */
-  async function getReadableFormDataStream({
-    contentType,
-    body,
-    filterPart,
-    transformPart,
-    outputBoundary,
-  }) {
-    // Get the content-type header to extract boundary
-    const boundaryMatch = contentType?.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  function resolveMultipartArgs(args) {
+    const [input] = args;
+    /** @type {string|null|undefined} */
+    let header;
+    let body;
+    let options;
 
-    if (!boundaryMatch) {
-      throw new Error("Could not determine boundary from Content-Type header");
+    if (isHeaders(input)) {
+      // streamMultipart(headers, body, options)
+      [, body, options = {}] = args;
+      header = input.get("content-type");
+    } else if (input && isHeaders(input.headers) && "body" in input) {
+      // streamMultipart(requestOrResponse, options)
+      [, options = {}] = args;
+      body = input.body;
+      header = input.headers.get("content-type");
+    } else if (
+      input &&
+      typeof input.headers === "object" &&
+      typeof input[Symbol.asyncIterator] === "function" &&
+      typeof args[1] !== "string"
+    ) {
+      // streamMultipart(nodeIncomingMessage, options)
+      [, options = {}] = args;
+      body = input;
+      header = input.headers["content-type"];
+    } else {
+      // streamMultipart(body, boundary, options)
+      const [, boundary, options = {}] = args;
+      return { body: input, boundary: validateBoundary(boundary), options };
     }
 
-    if (!body) {
-      throw new Error("No body in response");
+    const boundary = getBoundary(header);
+    return {
+      body,
+      boundary,
+      options,
+      contentType: parseContentType(/** @type {string} */ (header)),
+    };
+  }
+
+  /**
+   * Reads all data of a part into a single Uint8Array
+   * @param {AsyncIterable<Uint8Array>} data - The part data
+   * @returns {Promise<Uint8Array>} - All bytes
+   */
+  async function readPartData(data) {
+    const chunks = [];
+    for await (const chunk of data) {
+      chunks.push(chunk);
+    }
+    return mergeArrays(...chunks);
+  }
+
+  /**
+   * Gets the charset parameter of a content-type, if any
+   * @param {string|undefined} contentType - Header value
+   * @returns {string|undefined} - The charset
+   */
+  function getCharset(contentType) {
+    if (!contentType) {
+      return undefined;
     }
 
-    // Extract boundary
-    const inputBoundary = boundaryMatch[1] || boundaryMatch[2];
+    try {
+      return parseContentType(contentType).params.charset;
+    } catch {
+      return undefined;
+    }
+  }
 
-    // Generate a new boundary for output
-    const finalOutputBoundary = outputBoundary || inputBoundary;
+  /**
+   * Methods to read the data of a part in one go
+   * @typedef {Object} PartBodyMethods
+   * @property {function(string=): Promise<string>} text - Decode the data, using the given encoding or the charset of the part
+   * @property {function(): Promise<Uint8Array>} bytes - Read the data into a Uint8Array
+   * @property {function(): Promise<ArrayBuffer>} arrayBuffer - Read the data into an ArrayBuffer
+   * @property {function(): Promise<any>} json - Parse the data as JSON
+   * @property {function(): Promise<Blob>} blob - Read the data into a Blob typed with the content-type of the part
+   * @property {function(): ReadableStream<Uint8Array>} stream - Get the data as a ReadableStream
+   */
 
-    // Create a TransformStream to filter and process the parts
-    const { readable, writable } = new TransformStream();
+  /**
+   * Creates the methods to read the data of a part in one go
+   * @param {AsyncIterableIterator<Uint8Array>} data - Reads the part data
+   * @param {string|undefined} contentType - Content-type of the part
+   * @param {function(): void} claim - Throws if the data was already consumed, otherwise marks it as consumed
+   * @param {function(): Promise<void>} skip - Discards the remaining data
+   * @returns {PartBodyMethods} - The methods
+   */
+  function createBodyMethods(data, contentType, claim, skip) {
+    /**
+     * Read the data into a Uint8Array
+     * @returns {Promise<Uint8Array>}
+     */
+    async function bytes() {
+      claim();
+      return readPartData(data);
+    }
 
-    // Process parts in the background
-    (async () => {
-      const writer = writable.getWriter();
-      const encoder = new TextEncoder();
+    return {
+      bytes,
+      async text(encoding) {
+        return decodeText(await bytes(), encoding || getCharset(contentType));
+      },
+      async arrayBuffer() {
+        // mergeArrays always returns a fresh array that spans its whole buffer
+        return /** @type {ArrayBuffer} */ ((await bytes()).buffer);
+      },
+      async json() {
+        return JSON.parse(decodeText(await bytes(), getCharset(contentType)));
+      },
+      async blob() {
+        claim();
+        /** @type {BlobPart[]} */
+        const chunks = [];
+        for await (const chunk of data) {
+          chunks.push(/** @type {BlobPart} */ (chunk));
+        }
+        return new Blob(chunks, { type: contentType || "" });
+      },
+      stream() {
+        claim();
+        return iteratorToReadable({
+          next: () => data.next(),
+          async return() {
+            await skip();
+            return { done: true, value: undefined };
+          },
+        });
+      },
+    };
+  }
 
-      try {
-        // Iterate through each part of the multipart form data
-        for await (const part of streamMultipart(body, inputBoundary)) {
-          // Apply filter if provided, default to true if not
-          const passesFilter = filterPart ? filterPart(part) : { ok: true };
+  /**
+   * The data of a part, guarded so it is consumed only once: by iterating
+   * `data`, by one of the body methods, or by `skip()`
+   * @typedef {{data: AsyncIterableIterator<Uint8Array>, skip: function(): Promise<void>} & PartBodyMethods} PartBody
+   */
 
-          if (passesFilter.ok) {
-            if (transformPart) {
-              // Apply transformation if provided
-              const transformedPart = await transformPart(part);
-
-              // Only write if transformation returned a part
-              if (transformedPart.part) {
-                // Generate new header lines from the transformed part properties
-                const newHeaderLines = buildHeaderLines(transformedPart.part);
-
-                // Write the transformed part header
-                const headerText = formatPartHeader(
-                  newHeaderLines,
-                  finalOutputBoundary,
-                );
-                await writer.write(encoder.encode(headerText));
-
-                // Write the transformed part data
-                await writer.write(transformedPart.part.data);
-
-                // Write the trailing CRLF
-                await writer.write(encoder.encode("\r\n"));
-              }
+  /**
+   * Creates the data, skip() and body methods of a part
+   * @param {AsyncIterableIterator<Uint8Array>} source - Reads the data, unguarded
+   * @param {function(): Promise<void>} discard - Discards the remaining data
+   * @param {string|undefined} contentType - Content-type of the part
+   * @param {MultipartErrorContext} context - The part, for errors
+   * @returns {PartBody} - The guarded data and methods
+   */
+  function createPartBody(source, discard, contentType, context) {
+    /** @type {"data"|"method"|"skip"|undefined} */
+    let consumer;
 
-              if (transformedPart.stop) {
-                // stop early
-                break;
-              }
-            } else {
-              // No transformation: write the original part
-              const headerText = formatPartHeader(
-                part.headerLines,
-                finalOutputBoundary,
-              );
-              await writer.write(encoder.encode(headerText));
-              await writer.write(part.data);
-              await writer.write(encoder.encode("\r\n"));
-            }
-          }
+    /**
+     * Mark the data as consumed, or throw if it already was. Iterating `data`
+     * again, e.g. after a `break`, continues where it left off.
+     * @param {"data"|"method"} by - How it is consumed
+     * @returns {void}
+     */
+    function claim(by) {
+      if (consumer !== undefined && !(by === "data" && consumer === "data")) {
+        throw new MultipartError(
+          "BODY_USED",
+          "part data has already been consumed",
+          context,
+        );
+      }
+      consumer = by;
+    }
 
-          if (passesFilter.stop) {
-            // stop early
-            break;
-          }
-        }
+    /**
+     * Discard the remaining data of the part
+     * @returns {Promise<void>}
+     */
+    async function skip() {
+      consumer ??= "skip";
+      await discard();
+    }
 
-        // Write the final boundary
-        await writer.write(encoder.encode(`--${finalOutputBoundary}--\r\n`));
-        await writer.close();
-      } catch (error) {
-        // Handle errors
-        await writer.abort(error);
+    /** @type {AsyncIterableIterator<Uint8Array>} */
+    const data = {
+      [Symbol.asyncIterator]() {
+        claim("data");
+        return this;
+      },
+      next() {
+        claim("data");
+        return source.next();
+      },
+    };
+
+    return {
+      data,
+      skip,
+      ...createBodyMethods(source, contentType, () => claim("method"), skip),
+    };
+  }
+
+  /**
+   * Creates a copy of a part with other data
+   * @param {Part} part - The parsed part
+   * @param {AsyncIterableIterator<Uint8Array>} data - The data of the copy
+   * @param {function(): Promise<void>} discard - Discards the remaining data
+   * @returns {Part} - The copy
+   */
+  function copyPart(part, data, discard) {
+    return {
+      ...part,
+      ...createPartBody(data, discard, part["content-type"], {
+        name: part.name,
+      }),
+    };
+  }
+
+  /**
+   * Creates a copy of a part whose data was read into memory, so the parser
+   * can move on while the copy is processed. With `streaming`, the data that
+   * was not read yet follows the buffered chunks.
+   * @param {Part} part - The parsed part
+   * @param {Uint8Array[]} chunks - The data read so far, released while it is read
+   * @param {boolean} streaming - Whether the rest of the data is still to be read from the part
+   * @returns {Part} - The copy
+   */
+  function replayPart(part, chunks, streaming) {
+    const data = (async function* () {
+      while (chunks.length) {
+        yield /** @type {Uint8Array} */ (chunks.shift());
+      }
+      if (streaming) {
+        yield* part.data;
       }
     })();
 
-    return { readable, boundary: finalOutputBoundary };
+    return copyPart(part, data, async () => {
+      chunks.length = 0;
+      await part.skip();
+    });
+  }
+
+  /**
+   * Gets the Content-Type of a part if it is multipart itself
+   * @param {string|undefined} contentType - Content-Type header of the part
+   * @returns {ContentType|undefined} - The parsed Content-Type with a validated boundary, if multipart
+   */
+  function getNestedContentType(contentType) {
+    /** @type {ContentType} */
+    let parsed;
+    try {
+      parsed = parseContentType(contentType || "");
+    } catch {
+      return undefined;
+    }
+
+    if (parsed.type !== "multipart") {
+      return undefined;
+    }
+
+    // Throws for a missing or invalid boundary
+    getBoundary(contentType);
+    return parsed;
+  }
+
+  /**
+   * Anything that can be parsed: a WHATWG ReadableStream, a Node Readable or
+   * any other AsyncIterable of chunks, bytes, a Blob or a string
+   * @typedef {PartData} MultipartBody
+   */
+
+  /**
+   * Stream multipart form data
+   * @overload
+   * @param {MultipartBody} body - Stream containing multipart data
+   * @param {string} boundary - Boundary string
+   * @param {StreamMultipartOptions} [options] - Parser options
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  /**
+   * Stream multipart form data from a Request or Response, taking the boundary from its Content-Type
+   * @overload
+   * @param {Request|Response} message - Request or response containing multipart data
+   * @param {StreamMultipartOptions} [options] - Parser options
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  /**
+   * Stream multipart form data, taking the boundary from the Content-Type of the headers
+   * @overload
+   * @param {Headers} headers - Headers containing the Content-Type
+   * @param {MultipartBody|null} body - Stream containing multipart data
+   * @param {StreamMultipartOptions} [options] - Parser options
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  /**
+   * Stream multipart form data from a Node IncomingMessage, taking the boundary from its content-type header
+   * @overload
+   * @param {AsyncIterable<Uint8Array> & {headers: Record<string, string|string[]|undefined>}} message - Node request or response
+   * @param {StreamMultipartOptions} [options] - Parser options
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  /**
+   * @param {...any} args
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  async function* streamMultipart(...args) {
+    const { body, boundary, options, contentType } = resolveMultipartArgs(args);
+    yield* streamParts(
+      body,
+      boundary,
+      {
+        ...options,
+        generic:
+          options.generic ??
+          (contentType !== undefined && contentType.subtype !== "form-data"),
+      },
+      0,
+      { parts: 0, files: 0 },
+    );
+  }
+
+  /**
+   * The parser behind streamMultipart, which calls itself for nested multipart parts
+   * @param {MultipartBody|null} body - Stream containing multipart data
+   * @param {string} boundary - Validated boundary string
+   * @param {StreamMultipartOptions} options - Parser options
+   * @param {number} depth - Nesting depth, 0 for the outermost body
+   * @param {{parts: number, files: number, started?: boolean}} counts - Number of parts and files so far,
+   * shared with nested parsers for the limits. `started` is set once the first boundary was found.
+   * @returns {AsyncIterableIterator<Part>} Parts with streamed data
+   */
+  async function* streamParts(body, boundary, options, depth, counts) {
+    if (!body) {
+      // A missing body is not an empty form
+      throw new MultipartParseError(
+        "UNEXPECTED_EOF",
+        "malformed multipart-form data: no body",
+        { partIndex: 0, offset: 0 },
+      );
+    }
+
+    const {
+      generic = false,
+      nested = false,
+      unconsumedData = "buffer",
+      decodeTransferEncoding = false,
+      hash,
+      maxParts,
+      maxFieldSize,
+      maxFileSize,
+      maxFiles,
+      maxTotalBytes,
+      maxDepth = 10,
+      strict = true,
+      signal,
+    } = options;
+    throwIfAborted(signal);
+    if (hash !== undefined) {
+      normalizeHashAlgorithm(hash);
+    }
+
+    // Strict parsing searches for the boundary together with the line break
+    // before it, so part data needs no second pass. The first boundary has no
+    // line break before it if there is no preamble, so one is prepended.
+    const lineBreak = strict ? CRLF : new Uint8Array();
+    const needle = mergeArrays(lineBreak, dash, stringToArray(boundary));
+    const tokens = new ReadableStreamSearch(
+      needle,
+      (async function* () {
+        yield lineBreak;
+        yield* iteratePartData(body, signal);
+      })(),
+    )[Symbol.asyncIterator]();
+
+    let partIndex = 0;
+    /** @type {string|undefined} */
+    let partName;
+
+    // Wraps the token iterator to keep track of the byte offset in the input
+    const it = {
+      offset: -lineBreak.length,
+      ended: false,
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+      async next() {
+        const result = await abortable(tokens.next(), signal);
+        if (result.done) {
+          it.ended = true;
+        } else {
+          it.offset +=
+            result.value === MATCH ? needle.length : result.value.length;
+
+          if (maxTotalBytes !== undefined && it.offset > maxTotalBytes) {
+            throw new MultipartLimitError("maxTotalBytes", maxTotalBytes, {
+              partIndex,
+              name: partName,
+              offset: maxTotalBytes,
+            });
+          }
+        }
+        return result;
+      },
+    };
+
+    // discard prologue
+    for (;;) {
+      const result = await it.next();
+      if (result.done) {
+        // EOF
+        return;
+      }
+
+      if (result.value === MATCH) {
+        break;
+      }
+    }
+    counts.started = true;
+
+    for (; ; partIndex++) {
+      if (it.ended) {
+        // A lenient parse already ended the last part at the end of the input
+        return;
+      }
+
+      partName = undefined;
+      const headerStart = it.offset;
+      const [headerLines, tail] = await readHeaderLines(
+        it,
+        needle,
+        options,
+        partIndex,
+      );
+      if (!headerLines) {
+        return;
+      }
+
+      const dataStart = it.offset - tail.length;
+      const headerLinesResult = [...headerLines];
+      /** @type {Omit<Part, 'data'|'headerLines'|'skip'|keyof PartBodyMethods>} */
+      let headers;
+      try {
+        headers = parsePartHeaders(headerLines, generic);
+      } catch (error) {
+        throw withErrorContext(error, { partIndex, offset: headerStart });
+      }
+      const index = partIndex;
+      const isFile = headers.filename !== undefined;
+      partName = headers.name;
+
+      if (maxParts !== undefined && ++counts.parts > maxParts) {
+        throw new MultipartLimitError("maxParts", maxParts, {
+          partIndex,
+          name: partName,
+          offset: headerStart,
+        });
+      }
+
+      if (isFile && maxFiles !== undefined && ++counts.files > maxFiles) {
+        throw new MultipartLimitError("maxFiles", maxFiles, {
+          partIndex,
+          name: partName,
+          offset: headerStart,
+        });
+      }
+
+      /** @type {ContentType|undefined} */
+      let nestedType;
+      try {
+        nestedType = nested
+          ? getNestedContentType(headers["content-type"])
+          : undefined;
+      } catch (error) {
+        throw withErrorContext(error, {
+          partIndex,
+          name: partName,
+          offset: headerStart,
+        });
+      }
+      if (nestedType && depth >= maxDepth) {
+        throw new MultipartLimitError("maxDepth", maxDepth, {
+          partIndex,
+          name: partName,
+          offset: headerStart,
+        });
+      }
+
+      // The parts inside a nested multipart are limited, not the part itself
+      const maxSize = nestedType
+        ? undefined
+        : isFile
+          ? maxFileSize
+          : maxFieldSize;
+      let size = 0;
+
+      /**
+       * Count the data bytes of the part against its size limit
+       * @param {Uint8Array} chunk - Chunk of part data
+       * @returns {Uint8Array} - The same chunk
+       */
+      function countData(chunk) {
+        size += chunk.length;
+        if (maxSize !== undefined && size > maxSize) {
+          throw new MultipartLimitError(
+            isFile ? "maxFileSize" : "maxFieldSize",
+            maxSize,
+            {
+              partIndex: index,
+              name: headers.name,
+              offset: dataStart + maxSize,
+            },
+          );
+        }
+        return chunk;
+      }
+
+      /**
+       * Get next token from iterator
+       * @returns {Promise<IteratorResult<Token>>} - Token result, only done when lenient
+       */
+      async function nextToken() {
+        const result = await it.next();
+        if (result.done && strict) {
+          throw new MultipartParseError(
+            "UNEXPECTED_EOF",
+            "malformed multipart-form data: unexpected end of stream",
+            { partIndex: index, name: headers.name, offset: it.offset },
+          );
+        }
+        return result;
+      }
+
+      const decoder = decodeTransferEncoding
+        ? createTransferDecoder(headers["content-transfer-encoding"])
+        : undefined;
+      const hasher = hash ? createHash(hash) : undefined;
+      /** @type {string|undefined} */
+      let digest;
+
+      /**
+       * Count, decode and hash a chunk of part data
+       * @param {Uint8Array} chunk - Raw chunk of part data
+       * @param {boolean} last - Whether it is the last chunk of the part
+       * @returns {Uint8Array} - The decoded chunk
+       */
+      function processChunk(chunk, last) {
+        let out = countData(chunk);
+        if (decoder) {
+          out = last
+            ? mergeArrays(decoder.update(out), decoder.end())
+            : decoder.update(out);
+        }
+
+        if (hasher) {
+          hasher.update(out);
+          if (last) {
+            digest = hasher.digest();
+            const expected = headers["x-file-hash"];
+            if (expected !== undefined && expected.toLowerCase() !== digest) {
+              throw new MultipartError(
+                "HASH_MISMATCH",
+                `x-file-hash mismatch: expected ${expected}, got ${digest}`,
+                { partIndex: index, name: headers.name, offset: it.offset },
+              );
+            }
+          }
+        }
+        return out;
+      }
+
+      // Lenient parsing searches for the boundary alone, so a line break at the
+      // end of a chunk is held back until it is known whether a boundary follows
+      /** @type {Uint8Array} */
+      let heldLineBreak = new Uint8Array();
+
+      /**
+       * Hold back a trailing line break of a data chunk, when parsing leniently
+       * @param {Uint8Array} chunk - Chunk to process
+       * @returns {Uint8Array} - Processed chunk
+       */
+      function feedChunk(chunk) {
+        if (strict) {
+          return chunk;
+        }
+
+        const data = heldLineBreak.length
+          ? mergeArrays(heldLineBreak, chunk)
+          : chunk;
+        let end = data.length;
+        if (data[end - 1] === LF[0]) {
+          end--;
+        }
+        if (data[end - 1] === CR[0]) {
+          end--;
+        }
+        heldLineBreak = data.subarray(end);
+        return data.subarray(0, end);
+      }
+
+      let done = false;
+      let discarded = false;
+      /** @type {function(): void} */
+      let release = () => {};
+      /** @type {Promise<void>} */
+      const released = new Promise((resolve) => (release = resolve));
+
+      /**
+       * Get next data chunk
+       * @returns {Promise<IteratorYieldResult<Uint8Array>>} - Chunk result
+       */
+      async function nextChunk() {
+        const result = await nextToken();
+        if (!result.done && result.value !== MATCH) {
+          return { value: processChunk(feedChunk(result.value), false) };
+        }
+
+        // The line break before the boundary is not part of the data, but a
+        // lone CR is
+        const chunk = arraysEqual(heldLineBreak, CR)
+          ? heldLineBreak
+          : new Uint8Array();
+        if (result.done) {
+          warn(options, {
+            code: "MISSING_CLOSING_BOUNDARY",
+            message: "multipart body ended in the middle of a part",
+            partIndex: index,
+            offset: it.offset,
+          });
+        } else if (!strict && !arraysEqual(heldLineBreak, CRLF)) {
+          const bareLF = arraysEqual(heldLineBreak, LF);
+          warn(options, {
+            code: bareLF ? "BARE_LF" : "MISSING_CRLF",
+            message: bareLF
+              ? "boundary preceded by LF instead of CRLF"
+              : "boundary not preceded by CRLF",
+            partIndex: index,
+            offset: it.offset - needle.length,
+          });
+        }
+
+        done = true;
+        release();
+        return { value: processChunk(chunk, true) };
+      }
+
+      const bufferedChunks = [{ value: processChunk(feedChunk(tail), false) }];
+
+      // Reads from the underlying stream are chained so the consumer of
+      // `data` and the parser never read the same part concurrently
+      let pending = Promise.resolve();
+      /** @type {unknown} */
+      let failure;
+
+      /**
+       * Read the next data chunk into the buffer, unless the part is done
+       * @param {boolean} keep - Whether to keep the chunk or discard it
+       * @returns {Promise<void>}
+       */
+      function fill(keep) {
+        const result = pending.then(async () => {
+          if (failure) {
+            throw failure;
+          }
+
+          if (done) {
+            return;
+          }
+
+          const chunk = await nextChunk().catch((error) => {
+            throw (failure = error);
+          });
+          if (keep) {
+            bufferedChunks.push(chunk);
+          } else if (chunk.value.length) {
+            discarded = true;
+          }
+        });
+        pending = result.catch(() => {});
+        return result;
+      }
+
+      /** @type {Promise<void>|undefined} */
+      let draining;
+
+      /**
+       * Discard the remaining data of the part without buffering it
+       * @returns {Promise<void>}
+       */
+      function skip() {
+        if (!draining) {
+          if (bufferedChunks.some((chunk) => chunk.value.length)) {
+            discarded = true;
+          }
+          bufferedChunks.length = 0;
+          release();
+          draining = (async () => {
+            while (!done) {
+              await fill(false);
+            }
+          })();
+        }
+        return draining;
+      }
+
+      // Unguarded, see createPartBody
+      /** @type {AsyncIterableIterator<Uint8Array>} */
+      const data = {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        async next() {
+          throwIfAborted(signal);
+          for (;;) {
+            const result = bufferedChunks.shift();
+            if (result) {
+              if (result.value.length > 0) {
+                return result;
+              }
+              continue;
+            }
+
+            if (discarded) {
+              throw new MultipartError(
+                "DATA_DISCARDED",
+                "part data was discarded before it was consumed",
+                { partIndex: index, name: headers.name },
+              );
+            }
+
+            if (done) {
+              return { done, value: undefined };
+            }
+
+            await fill(true);
+          }
+        },
+      };
+
+      /**
+       * Get the hash of the data, once all of it has streamed past
+       * @returns {Promise<string>}
+       */
+      async function getDigest() {
+        if (draining) {
+          await draining;
+        }
+        while (!done) {
+          await fill(true);
+        }
+        // Settle the last read, which verifies the hash
+        await pending;
+        if (failure) {
+          throw failure;
+        }
+        return /** @type {string} */ (digest);
+      }
+
+      /** @type {Part} */
+      const part = {
+        ...headers,
+        ...(decoder && { "content-transfer-encoding": "binary" }),
+        headerLines: headerLinesResult,
+        ...(hasher && { digest: getDigest }),
+        ...createPartBody(data, skip, headers["content-type"], {
+          partIndex: index,
+          name: headers.name,
+        }),
+        ...(nested && { path: [index], parents: [] }),
+      };
+
+      if (nestedType) {
+        const parent = { ...headers, headerLines: headerLinesResult };
+        for await (const child of streamParts(
+          data,
+          nestedType.params.boundary,
+          { ...options, generic: nestedType.subtype !== "form-data" },
+          depth + 1,
+          counts,
+        )) {
+          yield {
+            ...child,
+            // Like files in a multipart/mixed form field (RFC 2388)
+            name: child.name || part.name,
+            path: [index, ...child.path],
+            parents: [parent, ...child.parents],
+          };
+        }
+        // Nobody can read the epilogue of the nested multipart
+        await skip();
+      } else {
+        yield part;
+      }
+
+      switch (unconsumedData) {
+        case "discard":
+          await skip();
+          break;
+
+        case "block":
+          await abortable(released, signal);
+          if (!done) {
+            await skip();
+          }
+          break;
+
+        default:
+          while (!done) {
+            await fill(true);
+          }
+          break;
+      }
+    }
+  }
+
+  ///////////////////////////////////////////////////////////////
+  /////THE FOLLOWING HAS BEEN ADDED BY JAN WILMAKE///////////////
+  ///////////////////////////////////////////////////////////////
+
+  /**
+   * Data that can be written as the body of a part
+   * @typedef {Uint8Array|ArrayBuffer|string|Blob|ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} PartData
+   */
+
+  /**
+   * A part that can be written to a multipart stream. Same as Part, but data can be anything in PartData
+   * @typedef {Omit<Part, 'data'|'headerLines'|'skip'|keyof PartBodyMethods> & {data: PartData, headerLines?: string[]}} PartInit
+   */
+
+  /**
+   * Options for getReadableStream function
+   * @typedef {Object} ReadableStreamOptions
+   * @property {string|null} contentType - content-type of the request or response. used to retrieve the boundary
+   * @property {MultipartBody|null} body - body of the request or response
+   * @property {FilterPart} [filterPart] - A sync function to filter out a part. If it has a `finish` method,
+   * like the filterPart of a validator, that is called once all input parts passed, and may throw to error the output.
+   * @property {function(Part, {signal: AbortSignal}): Promise<{part:PartsInit|null,stop?:boolean}>} [transformPart] - An async function to transform a part or filter it out. You can edit any parameter here.
+   * It can also return several parts, as an array or an async iterable, e.g. to unpack an archive.
+   * The signal is aborted when processing is cancelled, the transform is no longer awaited then.
+   * @property {string} [outputBoundary] - Custom boundary for output. If not given, will reuse input boundary
+   * @property {MultipartLimits} [limits] - Limits applied while parsing the input
+   * @property {AbortSignal} [signal] - Aborting stops processing, cancels the body and errors the output stream.
+   * Cancelling the output stream does the same.
+   * @property {"SHA-1"|"SHA-256"} [hash] - Check input parts that have an x-file-hash header, see streamMultipart
+   * @property {boolean} [emitHash] - Give every output part an x-file-hash header, using `hash` or SHA-256.
+   * Parts without a checked input hash, and all transformed parts, are buffered in memory to hash them first.
+   * @property {number} [concurrency] - Number of parts transformed at the same time. Defaults to 1: each part is
+   * transformed while it streams. With more, parts are read into memory so the next ones can be parsed while
+   * their transforms run.
+   * @property {number} [maxBufferedBytes] - With `concurrency`, the maximum number of bytes of parts held in memory
+   * until their output is written. A part that doesn't fit is transformed on its own, while it streams. Defaults to 16 MiB.
+   * @property {boolean} [ordered] - With `concurrency`, write the output parts in the order of the input. Set to false
+   * to write them in the order their transforms complete. Defaults to true.
+   * @property {function({signal: AbortSignal}): PartsInit|null|Promise<PartsInit|null>} [prepend] - Parts to write before the first part
+   * @property {function(StreamSummary, {signal: AbortSignal}): PartsInit|null|Promise<PartsInit|null>} [append] - Parts to write after
+   * the last part, e.g. a manifest, given a summary of what was written
+   */
+
+  /**
+   * Filter for getReadableFormDataStream, see ReadableStreamOptions
+   * @typedef {(function(Part): {ok: boolean, stop?: boolean}) & {finish?: function(): void}} FilterPart
+   */
+
+  /**
+   * One part, or several as an array or async iterable
+   * @typedef {PartInit|PartInit[]|AsyncIterable<PartInit>} PartsInit
+   */
+
+  /**
+   * A part written by getReadableFormDataStream
+   * @typedef {Object} WrittenPart
+   * @property {string} [name] - Field name
+   * @property {string} [filename] - Filename
+   * @property {string} [type] - Content-type
+   * @property {number} size - Size of the data in bytes
+   * @property {string} [hash] - The x-file-hash header, if any
+   */
+
+  /**
+   * What getReadableFormDataStream wrote before the `append` hook
+   * @typedef {Object} StreamSummary
+   * @property {WrittenPart[]} parts - The parts written, including prepended ones
+   * @property {number} inputParts - Number of parts read from the input
+   * @property {boolean} stopped - Whether processing was stopped early by filterPart or transformPart
+   */
+
+  /**
+   * The parts to write for an input part, and whether to stop
+   * @typedef {{outputs: PartInit[]|AsyncIterable<PartInit>, stop?: boolean}} TransformResult
+   */
+
+  // Header names that don't follow the usual Title-Case
+  const SPECIAL_HEADER_NAMES = {
+    "content-id": "Content-ID",
+    "content-md5": "Content-MD5",
+  };
+
+  /**
+   * Formats a header name in its canonical casing, e.g. x-file-hash -> X-File-Hash
+   * @param {string} key - Header name
+   * @returns {string} - Canonical header name
+   */
+  function canonicalHeaderName(key) {
+    if (!TOKEN_PATTERN.test(key)) {
+      throw new TypeError(`Invalid header name: ${JSON.stringify(key)}`);
+    }
+
+    const lower = key.toLowerCase();
+    return (
+      SPECIAL_HEADER_NAMES[lower] ||
+      lower.replace(
+        /(^|-)([a-z])/g,
+        (_, dash, char) => dash + char.toUpperCase(),
+      )
+    );
+  }
+
+  /**
+   * Quotes a header parameter value. Backslashes and quotes are escaped, and
+   * CR/LF are percent-encoded so they can't break out of the header line.
+   * @param {string} value - Parameter value
+   * @returns {string} - Quoted value
+   */
+  function quoteParam(value) {
+    return (
+      '"' +
+      String(value)
+        .replace(/[\\"]/g, "\\$&")
+        .replace(/\r/g, "%0D")
+        .replace(/\n/g, "%0A") +
+      '"'
+    );
+  }
+
+  /**
+   * Formats a filename parameter. Non-ASCII filenames get an ASCII fallback
+   * plus an RFC 5987 `filename*` with the UTF-8 name.
+   * @param {string} filename - The filename
+   * @returns {string} - The parameter(s), starting with "; "
+   */
+  function formatFilenameParam(filename) {
+    if (!/[^\x20-\x7e]/.test(filename)) {
+      return `; filename=${quoteParam(filename)}`;
+    }
+
+    const fallback = filename.replace(/[^\x20-\x7e]/g, "_");
+    const encoded = encodeURIComponent(filename).replace(
+      /['()*]/g,
+      (char) => "%" + char.charCodeAt(0).toString(16).toUpperCase(),
+    );
+    return `; filename=${quoteParam(fallback)}; filename*=UTF-8''${encoded}`;
+  }
+
+  /**
+   * Builds header lines from Part properties. Parts without a name, like the
+   * frames of a multipart/x-mixed-replace stream, get no form-data Content-Disposition,
+   * only a raw "content-disposition" if they have one, like parts parsed in generic mode.
+   * @param {PartInit} part - The part to generate headers for
+   * @returns {string[]} - Array of header lines
+   */
+  function buildHeaderLines(part) {
+    const headers = [];
+
+    // Add Content-Disposition header
+    if ("name" in part && part.name !== undefined) {
+      let contentDisposition = `Content-Disposition: form-data; name=${quoteParam(part.name)}`;
+      if (part.filename) {
+        contentDisposition += formatFilenameParam(part.filename);
+      }
+      headers.push(contentDisposition);
+    } else if (typeof part["content-disposition"] === "string") {
+      if (/[\r\n]/.test(part["content-disposition"])) {
+        throw new TypeError(
+          "Invalid value for header content-disposition: must not contain CR or LF",
+        );
+      }
+      headers.push(`Content-Disposition: ${part["content-disposition"]}`);
+    }
+
+    // Add any headers that ought to be headers
+    for (const [key, value] of Object.entries(part)) {
+      if (
+        ![
+          "name",
+          "data",
+          "headerLines",
+          "filename",
+          "content-disposition",
+        ].includes(key) &&
+        typeof value === "string"
+      ) {
+        if (/[\r\n]/.test(value)) {
+          throw new TypeError(
+            `Invalid value for header ${key}: must not contain CR or LF`,
+          );
+        }
+
+        headers.push(`${canonicalHeaderName(key)}: ${value}`);
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Iterates over the data of a part as Uint8Array chunks
+   * @param {PartData} data - The part data to iterate over
+   * @param {AbortSignal} [signal] - Aborting cancels the underlying stream
+   * @returns {AsyncIterableIterator<Uint8Array>} - Chunks of the part data
+   */
+  async function* iteratePartData(data, signal) {
+    throwIfAborted(signal);
+    if (data === undefined || data === null) {
+      return;
+    }
+
+    if (typeof data === "string") {
+      yield stringToArray(data);
+    } else if (data instanceof Uint8Array) {
+      yield data;
+    } else if (data instanceof ArrayBuffer) {
+      yield new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+      yield new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else if (typeof Blob !== "undefined" && data instanceof Blob) {
+      yield* iteratePartData(data.stream(), signal);
+    } else if (
+      typeof (/** @type {ReadableStream<Uint8Array>} */ (data).getReader) ===
+      "function"
+    ) {
+      const reader = /** @type {ReadableStream<Uint8Array>} */ (
+        data
+      ).getReader();
+      const onAbort = () => {
+        reader
+          .cancel(abortReason(/** @type {AbortSignal} */ (signal)))
+          .catch(() => {});
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      try {
+        while (true) {
+          const result = await reader.read();
+          throwIfAborted(signal);
+          if (result.done) {
+            break;
+          }
+          yield result.value;
+        }
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+        reader.releaseLock();
+      }
+    } else if (typeof data[Symbol.asyncIterator] === "function") {
+      // Node streams can be destroyed, other iterables are only raced
+      const onAbort = () => {
+        /** @type {{destroy?: function(any): void}} */ (data).destroy?.(
+          abortReason(/** @type {AbortSignal} */ (signal)),
+        );
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      const iterator = data[Symbol.asyncIterator]();
+      let done = false;
+      try {
+        while (!done) {
+          const result = await abortable(iterator.next(), signal);
+          if (!(done = !!result.done)) {
+            const chunk = result.value;
+            yield typeof chunk === "string" ? stringToArray(chunk) : chunk;
+          }
+        }
+      } finally {
+        signal?.removeEventListener("abort", onAbort);
+        if (!done && !signal?.aborted) {
+          await iterator.return?.();
+        }
+      }
+    } else {
+      throw new TypeError("Unsupported part data type");
+    }
+  }
+
+  /**
+   * Writes the data of a part to a writer chunk by chunk, respecting backpressure
+   * @param {WritableStreamDefaultWriter<Uint8Array>} writer - The writer to write to
+   * @param {PartData} data - The part data to write
+   * @param {AbortSignal} [signal] - Aborting stops writing and cancels the data
+   * @returns {Promise<void>}
+   */
+  async function writePartData(writer, data, signal) {
+    for await (const chunk of iteratePartData(data, signal)) {
+      if (!chunk.length) {
+        continue;
+      }
+      await writer.ready;
+      await writer.write(chunk);
+    }
+  }
+
+  /**
+   * Formats a part header for multipart output
+   * @param {string[]} headerLines - Array of header lines
+   * @param {string} boundary - The multipart boundary
+   * @returns {string} - Formatted header string
+   */
+  function formatPartHeader(headerLines, boundary) {
+    return `--${boundary}\r\n${headerLines
+      .map((line) => `${line}\r\n`)
+      .join("")}\r\n`;
+  }
+
+  /**
+   * Creates a readable stream of filtered and/or transformed multipart form-data
+   *
+   * @param {ReadableStreamOptions} options - Options for processing
+   * @returns {Promise<{readable: ReadableStream<Uint8Array>, boundary: string}>} - The output stream and boundary
+   */
+  async function getReadableFormDataStream({
+    contentType,
+    body,
+    filterPart,
+    transformPart,
+    outputBoundary,
+    limits,
+    signal,
+    hash,
+    emitHash = false,
+    concurrency = 1,
+    maxBufferedBytes = 16 * 1024 * 1024,
+    ordered = true,
+    prepend,
+    append,
+  }) {
+    // Extract boundary from the content-type header
+    const inputBoundary = getBoundary(contentType);
+
+    if (!body) {
+      // Like streamMultipart, so both fail the same way
+      throw new MultipartParseError(
+        "UNEXPECTED_EOF",
+        "malformed multipart-form data: no body",
+        { partIndex: 0, offset: 0 },
+      );
+    }
+
+    const hashAlgorithm = hash ?? (emitHash ? "SHA-256" : undefined);
+
+    /**
+     * Buffer the data of a part and hash it
+     * @param {PartData} data - The part data
+     * @returns {Promise<{bytes: Uint8Array, digest: string}>} - The data and its hash
+     */
+    async function hashPartData(data) {
+      const bytes = await readPartData(
+        iteratePartData(data, controller.signal),
+      );
+      const hasher = createHash(/** @type {string} */ (hashAlgorithm));
+      hasher.update(bytes);
+      return { bytes, digest: hasher.digest() };
+    }
+
+    // Generate a new boundary for output
+    const finalOutputBoundary = outputBoundary
+      ? validateBoundary(outputBoundary)
+      : inputBoundary;
+
+    // Aborted by the given signal, or when the output is cancelled or errored
+    const controller = new AbortController();
+    const abortFromSignal = () =>
+      controller.abort(abortReason(/** @type {AbortSignal} */ (signal)));
+    if (signal?.aborted) {
+      abortFromSignal();
+    } else {
+      signal?.addEventListener("abort", abortFromSignal, { once: true });
+    }
+
+    /**
+     * Normalizes the parts returned by transformPart or a hook to a list
+     * @param {PartsInit|null|undefined} value - A part, an array or async iterable of parts, or nothing
+     * @returns {PartInit[]|AsyncIterable<PartInit>} - The parts
+     */
+    function toPartList(value) {
+      if (!value) {
+        return [];
+      }
+      if (Array.isArray(value)) {
+        return value;
+      }
+      if (typeof value[Symbol.asyncIterator] === "function") {
+        return /** @type {AsyncIterable<PartInit>} */ (value);
+      }
+      return [/** @type {PartInit} */ (value)];
+    }
+
+    /**
+     * Prepares a transformed or injected part for writing
+     * @param {PartInit} part - The part
+     * @returns {Promise<PartInit>} - The part to write
+     */
+    async function prepareOutput(part) {
+      // Headers are built from the transformed part properties
+      const output = { ...part, headerLines: undefined };
+      if (!emitHash) {
+        return output;
+      }
+
+      // The data may have changed, so always hash what is written
+      const { bytes, digest } = await hashPartData(output.data);
+      return { ...output, "x-file-hash": digest, data: bytes };
+    }
+
+    /**
+     * Prepares parts for writing, one at a time as they are written
+     * @param {AsyncIterable<PartInit>} parts - The parts
+     * @returns {AsyncIterableIterator<PartInit>} - The parts to write
+     */
+    async function* prepareOutputs(parts) {
+      for await (const part of parts) {
+        yield prepareOutput(part);
+      }
+    }
+
+    /**
+     * Prepares the parts returned by transformPart or a hook for writing.
+     * Arrays are prepared right away, async iterables while they are written.
+     * @param {PartsInit|null|undefined} value - The returned parts
+     * @returns {Promise<PartInit[]|AsyncIterable<PartInit>>} - The parts to write
+     */
+    async function prepareAll(value) {
+      const parts = toPartList(value);
+      if (!Array.isArray(parts)) {
+        return prepareOutputs(parts);
+      }
+
+      const outputs = [];
+      for (const part of parts) {
+        outputs.push(await prepareOutput(part));
+      }
+      return outputs;
+    }
+
+    /**
+     * Transforms a part that passed the filter, and hashes the output if needed
+     * @param {Part} part - The part
+     * @param {AbortSignal} taskSignal - Aborted when the transform is no longer needed
+     * @returns {Promise<TransformResult>} - The parts to write
+     */
+    async function transformOne(part, taskSignal) {
+      if (!transformPart) {
+        // No transformation: write the original part
+        let headerLines = part.headerLines;
+        let hash = part["x-file-hash"];
+        /** @type {PartData} */
+        let data = part.data;
+        if (emitHash && hash === undefined) {
+          // A present hash is checked while streaming, a missing one
+          // has to be known before the header is written
+          const hashed = await hashPartData(part.data);
+          hash = hashed.digest;
+          headerLines = [...headerLines, `X-File-Hash: ${hash}`];
+          data = hashed.bytes;
+        }
+        return {
+          outputs: [
+            {
+              name: part.name,
+              filename: part.filename,
+              "content-type": part["content-type"],
+              "x-file-hash": hash,
+              headerLines,
+              data,
+            },
+          ],
+        };
+      }
+
+      // Apply transformation if provided
+      const transformedPart = await abortable(
+        Promise.resolve(transformPart(part, { signal: taskSignal })),
+        taskSignal,
+      );
+
+      // Only write what the transformation returned
+      return {
+        outputs: await prepareAll(transformedPart.part),
+        stop: transformedPart.stop,
+      };
+    }
+
+    /**
+     * What getReadableFormDataStream wrote so far, as passed to `append`
+     * @type {StreamSummary}
+     */
+    const summary = { parts: [], inputParts: 0, stopped: false };
+
+    /**
+     * Passes a part on to the encoder, and waits until its data was written
+     * @param {PartInit} output - The part to write
+     * @returns {AsyncIterableIterator<PartInit>} - The part
+     */
+    async function* writeOutput(output) {
+      /** @type {function(): void} */
+      let written = () => {};
+      const done = new Promise(
+        (resolve) => (written = () => resolve(undefined)),
+      );
+      const { data } = output;
+      /** @type {WrittenPart} */
+      const entry = {
+        name: output.name,
+        filename: output.filename,
+        type: output["content-type"],
+        size: 0,
+        hash: output["x-file-hash"],
+      };
+      yield {
+        ...output,
+        data: (async function* () {
+          try {
+            for await (const chunk of iteratePartData(
+              data,
+              controller.signal,
+            )) {
+              entry.size += chunk.length;
+              yield chunk;
+            }
+          } finally {
+            written();
+          }
+        })(),
+      };
+      await abortable(done, controller.signal);
+      summary.parts.push(entry);
+    }
+
+    /**
+     * Writes parts one after the other
+     * @param {PartInit[]|AsyncIterable<PartInit>} outputs - The parts to write
+     * @returns {AsyncIterableIterator<PartInit>} - The parts
+     */
+    async function* writeOutputs(outputs) {
+      for await (const output of outputs) {
+        yield* writeOutput(output);
+      }
+    }
+
+    /**
+     * Filters and transforms the parsed parts one at a time. A part is passed
+     * on once the previous one was written, and skipped afterwards.
+     * @param {AsyncIterableIterator<Part>} parts - The parsed parts
+     * @returns {AsyncIterableIterator<PartInit>} - The parts to write
+     */
+    async function* processPartsInSequence(parts) {
+      for await (const part of parts) {
+        summary.inputParts++;
+        // Apply filter if provided, default to true if not
+        const passesFilter = filterPart ? filterPart(part) : { ok: true };
+        let stop = passesFilter.stop;
+
+        if (passesFilter.ok) {
+          const result = await transformOne(part, controller.signal);
+          stop ||= result.stop;
+          yield* writeOutputs(result.outputs);
+        }
+
+        if (stop) {
+          // stop early
+          summary.stopped = true;
+          break;
+        }
+
+        // Drop whatever was not read instead of buffering it
+        await part.skip();
+      }
+    }
+
+    /**
+     * A part read into memory whose transform runs in the background
+     * @typedef {Object} TransformTask
+     * @property {number} size - Number of buffered bytes
+     * @property {AbortController} controller - Aborts the transform when its output is not needed
+     * @property {boolean} settled - Whether the transform completed or failed
+     * @property {TransformResult} [result] - The result of the transform
+     * @property {unknown} [error] - The error of the transform
+     * @property {function(): void} written - Called when the output was written or dropped
+     */
+
+    /**
+     * Filters and transforms the parsed parts, with up to `concurrency`
+     * transforms at a time. Parts are read into memory, within
+     * `maxBufferedBytes`, so the next ones can be parsed meanwhile.
+     * @param {AsyncIterableIterator<Part>} parts - The parsed parts
+     * @returns {AsyncIterableIterator<PartInit>} - The parts to write
+     */
+    async function* processPartsConcurrently(parts) {
+      /** @type {TransformTask[]} - Tasks whose output is not written yet, in input order */
+      const tasks = [];
+      let bufferedBytes = 0;
+      let stopped = false;
+      let finished = false;
+      /** @type {{error: unknown}|undefined} */
+      let failure;
+
+      /** @type {Array<function(): void>} */
+      let waiting = [];
+      const changed = () => {
+        const resolvers = waiting;
+        waiting = [];
+        resolvers.forEach((resolve) => resolve());
+      };
+      const nextChange = async () => {
+        await new Promise((resolve) => waiting.push(() => resolve(undefined)));
+        throwIfAborted(controller.signal);
+      };
+
+      // Aborting stops the transforms in flight and wakes up everything waiting
+      const abortTasks = () => {
+        for (const task of tasks) {
+          task.controller.abort(controller.signal.reason);
+        }
+        changed();
+      };
+      controller.signal.addEventListener("abort", abortTasks, { once: true });
+
+      /**
+       * Reads the data of a part into memory, unless it doesn't fit even when
+       * the other parts are written: then it is transformed while it streams
+       * @param {Part} part - The part
+       * @param {TransformTask} task - Its task, which counts the buffered bytes
+       * @returns {Promise<{chunks: Uint8Array[], streaming: boolean}>} - The data read
+       */
+      async function bufferPart(part, task) {
+        /** @type {Uint8Array[]} */
+        const chunks = [];
+        for (;;) {
+          const { done, value } = await part.data.next();
+          if (done) {
+            return { chunks, streaming: false };
+          }
+
+          while (
+            bufferedBytes + value.length > maxBufferedBytes &&
+            tasks.length > 1 &&
+            !stopped
+          ) {
+            await nextChange();
+          }
+
+          chunks.push(value);
+          if (bufferedBytes + value.length > maxBufferedBytes) {
+            return { chunks, streaming: true };
+          }
+          task.size += value.length;
+          bufferedBytes += value.length;
+        }
+      }
+
+      /**
+       * Reads the parts and starts their transforms, as long as there are
+       * free slots and memory
+       * @returns {Promise<void>}
+       */
+      async function produce() {
+        for await (const part of parts) {
+          summary.inputParts++;
+          const passesFilter = filterPart ? filterPart(part) : { ok: true };
+
+          if (passesFilter.ok) {
+            while (tasks.length >= concurrency && !stopped) {
+              await nextChange();
+            }
+            if (stopped) {
+              return;
+            }
+
+            /** @type {TransformTask} */
+            const task = {
+              size: 0,
+              controller: new AbortController(),
+              settled: false,
+              written: () => {},
+            };
+            const written = new Promise(
+              (resolve) => (task.written = () => resolve(undefined)),
+            );
+            tasks.push(task);
+
+            /** @type {{chunks: Uint8Array[], streaming: boolean}} */
+            let buffered;
+            try {
+              buffered = await bufferPart(part, task);
+            } catch (error) {
+              // Reported in order, like a failed transform
+              task.error = error;
+              task.settled = true;
+              changed();
+              throw error;
+            }
+
+            const { chunks, streaming } = buffered;
+            transformOne(
+              replayPart(part, chunks, streaming),
+              task.controller.signal,
+            )
+              .then(
+                (result) => (task.result = result),
+                (error) => (task.error = error),
+              )
+              .finally(() => {
+                task.settled = true;
+                changed();
+              });
+
+            if (streaming) {
+              // The parser can only move on once the output was written
+              await written;
+            }
+          }
+
+          if (passesFilter.stop) {
+            // stop early
+            summary.stopped = true;
+            return;
+          }
+          if (stopped) {
+            return;
+          }
+
+          // Drop whatever was not read instead of buffering it
+          await part.skip();
+        }
+      }
+
+      produce().then(
+        () => {
+          finished = true;
+          changed();
+        },
+        (error) => {
+          failure = { error };
+          finished = true;
+          changed();
+        },
+      );
+
+      try {
+        for (;;) {
+          const index = ordered
+            ? tasks.length && tasks[0].settled
+              ? 0
+              : -1
+            : tasks.findIndex((task) => task.settled);
+
+          if (index === -1) {
+            if (finished && !tasks.length) {
+              // Errors of the parser surface after the parts before it
+              if (failure) {
+                throw failure.error;
+              }
+              return;
+            }
+
+            await nextChange();
+            continue;
+          }
+
+          const [task] = tasks.splice(index, 1);
+          if (task.error) {
+            throw task.error;
+          }
+
+          const { outputs, stop } = /** @type {TransformResult} */ (
+            task.result
+          );
+          yield* writeOutputs(outputs);
+          bufferedBytes -= task.size;
+          task.written();
+          changed();
+
+          if (stop) {
+            // stop early, dropping the output of the parts after this one
+            summary.stopped = true;
+            return;
+          }
+        }
+      } finally {
+        stopped = true;
+        controller.signal.removeEventListener("abort", abortTasks);
+        for (const task of tasks) {
+          task.controller.abort();
+          task.written();
+        }
+        changed();
+      }
+    }
+
+    /**
+     * Filters and transforms the parsed parts
+     * @param {AsyncIterableIterator<Part>} parts - The parsed parts
+     * @param {AbortSignal} cancelled - Aborted when the output is cancelled or errored
+     * @returns {AsyncIterableIterator<PartInit>} - The parts to write
+     */
+    async function* processParts(parts, cancelled) {
+      cancelled.addEventListener(
+        "abort",
+        () => controller.abort(cancelled.reason),
+        { once: true },
+      );
+
+      try {
+        if (prepend) {
+          yield* writeOutputs(
+            await prepareAll(
+              await abortable(
+                Promise.resolve(prepend({ signal: controller.signal })),
+                controller.signal,
+              ),
+            ),
+          );
+        }
+
+        yield* concurrency > 1
+          ? processPartsConcurrently(parts)
+          : processPartsInSequence(parts);
+        if (!summary.stopped) {
+          filterPart?.finish?.();
+        }
+
+        if (append) {
+          yield* writeOutputs(
+            await prepareAll(
+              await abortable(
+                Promise.resolve(append(summary, { signal: controller.signal })),
+                controller.signal,
+              ),
+            ),
+          );
+        }
+      } finally {
+        signal?.removeEventListener("abort", abortFromSignal);
+      }
+    }
+
+    const readable = iteratorToReadable(
+      iteratePartData(body, controller.signal),
+    )
+      .pipeThrough(
+        new MultipartDecoderStream(/** @type {string} */ (contentType), {
+          ...limits,
+          signal: controller.signal,
+          hash: hashAlgorithm,
+        }),
+      )
+      .pipeThrough(createGeneratorTransform(processParts))
+      .pipeThrough(
+        new MultipartEncoderStream({
+          boundary: finalOutputBoundary,
+          preserveHeaderLines: true,
+        }),
+      );
+
+    return { readable, boundary: finalOutputBoundary };
+  }
+
+  /**
+   * A value of a form field: text, a file, or raw bytes
+   * @typedef {string|Blob|Uint8Array|ArrayBuffer} FormValue
+   */
+
+  /**
+   * Parts accepted by createMultipartStream
+   * @typedef {FormData|Record<string, FormValue|FormValue[]>|Iterable<PartInit>|AsyncIterable<PartInit>} MultipartInput
+   */
+
+  /**
+   * Options for createMultipartStream
+   * @typedef {Object} CreateMultipartStreamOptions
+   * @property {string} [boundary] - Boundary for the output. A random one is generated if not given
+   * @property {string} [subtype] - Multipart subtype used in the content-type. Defaults to "form-data"
+   * @property {boolean} [encodeTransferEncoding] - Encode the data of parts with a base64 or quoted-printable "content-transfer-encoding"
+   * @property {boolean} [preserveHeaderLines] - Write the `headerLines` of parts that have them as they are, instead of
+   * building the headers from the properties. For passing parsed parts through unchanged.
+   */
+
+  /**
+   * Generates a random boundary
+   * @returns {string} - The boundary
+   */
+  function generateBoundary() {
+    const bytes = new Uint8Array(16);
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+      crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    return (
+      "----formdata-" +
+      Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("")
+    );
+  }
+
+  /**
+   * Formats the Content-Type of a multipart body
+   * @param {string} subtype - Multipart subtype, like "form-data"
+   * @param {string} boundary - The boundary
+   * @returns {string} - The Content-Type
+   */
+  function formatMultipartContentType(subtype, boundary) {
+    return `multipart/${subtype}; boundary=${
+      TOKEN_PATTERN.test(boundary) ? boundary : quoteParam(boundary)
+    }`;
+  }
+
+  /**
+   * Turns a form field value into a part
+   * @param {string} name - Field name
+   * @param {FormValue} value - Field value
+   * @returns {PartInit} - The part
+   */
+  function formValueToPart(name, value) {
+    if (typeof Blob !== "undefined" && value instanceof Blob) {
+      return {
+        name,
+        filename: "name" in value ? String(value.name) : "blob",
+        "content-type": value.type || "application/octet-stream",
+        data: value,
+      };
+    }
+    return { name, data: value };
+  }
+
+  /**
+   * Normalizes the input of createMultipartStream to parts. Returns an array
+   * when all parts are known upfront.
+   * @param {MultipartInput} input - The parts
+   * @returns {PartInit[]|AsyncIterable<PartInit>} - The normalized parts
+   */
+  function normalizeParts(input) {
+    if (typeof FormData !== "undefined" && input instanceof FormData) {
+      return Array.from(input, ([name, value]) => formValueToPart(name, value));
+    }
+
+    if (typeof input[Symbol.iterator] === "function") {
+      return Array.from(/** @type {Iterable<PartInit>} */ (input));
+    }
+
+    if (typeof input[Symbol.asyncIterator] === "function") {
+      return /** @type {AsyncIterable<PartInit>} */ (input);
+    }
+
+    return Object.entries(input).flatMap(([name, value]) =>
+      (Array.isArray(value) ? value : [value]).map((item) =>
+        formValueToPart(name, item),
+      ),
+    );
+  }
+
+  /**
+   * Gets the size in bytes of part data, if it is known without reading it
+   * @param {PartData} data - The part data
+   * @returns {number|undefined} - The size, or undefined if unknown
+   */
+  function getPartDataSize(data) {
+    if (data === undefined || data === null) {
+      return 0;
+    }
+    if (typeof data === "string") {
+      return stringToArray(data).length;
+    }
+    if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+      return data.byteLength;
+    }
+    if (typeof Blob !== "undefined" && data instanceof Blob) {
+      return data.size;
+    }
+    return undefined;
+  }
+
+  /**
+   * Gets the size in bytes of data after applying a transfer encoding
+   * @param {number|undefined} size - Size of the data
+   * @param {string|undefined} encoding - The transfer encoding
+   * @returns {number|undefined} - The encoded size, or undefined if unknown
+   */
+  function getEncodedSize(size, encoding) {
+    switch (encoding?.trim().toLowerCase()) {
+      case "base64": {
+        if (size === undefined) {
+          return undefined;
+        }
+        const chars = Math.ceil(size / 3) * 4;
+        const lineBreaks = chars
+          ? Math.floor((chars - 1) / MAX_LINE_LENGTH)
+          : 0;
+        return chars + lineBreaks * CRLF.length;
+      }
+      case "quoted-printable":
+        return undefined;
+      default:
+        return size;
+    }
+  }
+
+  /**
+   * Gets the header lines to write for a part
+   * @param {PartInit} part - The part
+   * @param {boolean} [preserveHeaderLines] - Whether to use the raw `headerLines` of the part, if it has them
+   * @returns {string[]} - Array of header lines
+   */
+  function getHeaderLines(part, preserveHeaderLines) {
+    if (!preserveHeaderLines || !part.headerLines) {
+      return buildHeaderLines(part);
+    }
+
+    for (const line of part.headerLines) {
+      if (/[\r\n]/.test(line)) {
+        throw new TypeError(
+          `Invalid header line ${JSON.stringify(line)}: must not contain CR or LF`,
+        );
+      }
+    }
+    return part.headerLines;
+  }
+
+  /**
+   * Encodes parts as a multipart body
+   * @param {Iterable<PartInit>|AsyncIterable<PartInit>} parts - The parts to encode
+   * @param {string} boundary - The multipart boundary
+   * @param {CreateMultipartStreamOptions} [options] - Whether to apply the transfer encoding of the parts and
+   * to preserve their header lines
+   * @returns {AsyncIterableIterator<Uint8Array>} - Chunks of the multipart body
+   */
+  async function* encodeMultipart(parts, boundary, options = {}) {
+    const { encodeTransferEncoding, preserveHeaderLines } = options;
+    for await (const part of parts) {
+      yield stringToArray(
+        formatPartHeader(getHeaderLines(part, preserveHeaderLines), boundary),
+      );
+      const encoder = encodeTransferEncoding
+        ? createTransferEncoder(part["content-transfer-encoding"])
+        : undefined;
+      const data = iteratePartData(part.data);
+      yield* encoder ? transformChunks(data, encoder) : data;
+      yield CRLF;
+    }
+    yield stringToArray(`--${boundary}--\r\n`);
+  }
+
+  /**
+   * Creates a pull-based ReadableStream from an async iterator, so the
+   * iterator only advances when the consumer reads
+   * @param {AsyncIterator<Uint8Array>} iterator - The source iterator
+   * @returns {ReadableStream<Uint8Array>} - The stream
+   */
+  function iteratorToReadable(iterator) {
+    return new ReadableStream({
+      async pull(controller) {
+        for (;;) {
+          const { done, value } = await iterator.next();
+          if (done) {
+            controller.close();
+            return;
+          }
+          if (value.length) {
+            controller.enqueue(value);
+            return;
+          }
+        }
+      },
+      async cancel(reason) {
+        await iterator.return?.(reason);
+      },
+    });
+  }
+
+  /**
+   * Creates a multipart body from a FormData, a plain object of field values,
+   * or an (async) iterable of parts
+   *
+   * @param {MultipartInput} parts - The parts to encode
+   * @param {CreateMultipartStreamOptions} [options] - Options
+   * @returns {{readable: ReadableStream<Uint8Array>, boundary: string, contentType: string, contentLength?: number}} - The body stream,
+   * its boundary and content-type, and its exact length if the sizes of all parts are known
+   */
+  function createMultipartStream(parts, options = {}) {
+    const boundary = options.boundary
+      ? validateBoundary(options.boundary)
+      : generateBoundary();
+    const contentType = formatMultipartContentType(
+      options.subtype || "form-data",
+      boundary,
+    );
+
+    const normalized = normalizeParts(parts);
+
+    /** @type {number|undefined} */
+    let contentLength;
+    if (Array.isArray(normalized)) {
+      contentLength = stringToArray(`--${boundary}--\r\n`).length;
+      for (const part of normalized) {
+        const size = options.encodeTransferEncoding
+          ? getEncodedSize(
+              getPartDataSize(part.data),
+              part["content-transfer-encoding"],
+            )
+          : getPartDataSize(part.data);
+        if (size === undefined) {
+          contentLength = undefined;
+          break;
+        }
+        contentLength +=
+          stringToArray(
+            formatPartHeader(
+              getHeaderLines(part, options.preserveHeaderLines),
+              boundary,
+            ),
+          ).length +
+          size +
+          CRLF.length;
+      }
+    }
+
+    const readable = iteratorToReadable(
+      encodeMultipart(normalized, boundary, options),
+    );
+
+    return contentLength === undefined
+      ? { readable, boundary, contentType }
+      : { readable, boundary, contentType, contentLength };
+  }
+
+  /**
+   * Creates a transform stream driven by an async generator, which pulls the
+   * chunks written to the writable side and yields the output. Like a
+   * TransformStream, the pair works with pipeThrough. When the generator fails
+   * or the readable side is cancelled, the writable side errors as well; when
+   * the generator returns early, the writable side is closed for writing.
+   * @template I, O
+   * @param {function(AsyncIterableIterator<I>, AbortSignal): AsyncIterator<O>} transform - The generator function.
+   * The signal is aborted when the stream fails or is cancelled.
+   * @param {QueuingStrategy<O>} [strategy] - Queuing strategy of the readable side
+   * @returns {{readable: ReadableStream<O>, writable: WritableStream<I>}} - The stream pair
+   */
+  function createGeneratorTransform(transform, strategy) {
+    /** @type {TransformStreamDefaultController<I>|undefined} */
+    let inputController;
+    const input = new TransformStream({
+      start(controller) {
+        inputController = controller;
+      },
+    });
+    const aborter = new AbortController();
+    const iterator = transform(
+      /** @type {AsyncIterableIterator<any>} */ (
+        iteratePartData(input.readable)
+      ),
+      aborter.signal,
+    );
+
+    /**
+     * Errors both sides and aborts the signal of the generator
+     * @param {unknown} reason - The reason
+     * @returns {void}
+     */
+    function fail(reason) {
+      aborter.abort(reason);
+      inputController?.error(reason);
+    }
+
+    const readable = new ReadableStream(
+      {
+        async pull(controller) {
+          try {
+            const { done, value } = await iterator.next();
+            if (done) {
+              // Nothing more is read, even if the writable side is still open
+              inputController?.terminate();
+              controller.close();
+            } else {
+              controller.enqueue(value);
+            }
+          } catch (error) {
+            fail(error);
+            throw error;
+          }
+        },
+        async cancel(reason) {
+          fail(reason);
+          await iterator.return?.();
+        },
+      },
+      strategy,
+    );
+
+    return { readable, writable: input.writable };
+  }
+
+  /**
+   * A transform stream that parses the multipart body written to it into parts,
+   * to compose multipart parsing with pipeThrough:
+   *
+   *     request.body.pipeThrough(new MultipartDecoderStream(contentType))
+   *
+   * Pipes read ahead, so `unconsumedData` defaults to "block" here: the next part
+   * is only parsed once the data of the previous part was read or skipped.
+   */
+  class MultipartDecoderStream {
+    /**
+     * @param {string} boundaryOrContentType - The boundary, or a multipart Content-Type header to take it from
+     * @param {StreamMultipartOptions} [options] - Parser options
+     */
+    constructor(boundaryOrContentType, options = {}) {
+      const contentType = /^\s*multipart\//i.test(boundaryOrContentType)
+        ? parseContentType(boundaryOrContentType)
+        : undefined;
+      const boundary = contentType
+        ? getBoundary(boundaryOrContentType)
+        : validateBoundary(boundaryOrContentType);
+      const parserOptions = {
+        unconsumedData: /** @type {const} */ ("block"),
+        ...options,
+        generic:
+          options.generic ??
+          (contentType !== undefined && contentType.subtype !== "form-data"),
+      };
+
+      const { readable, writable } = createGeneratorTransform(
+        (/** @type {AsyncIterableIterator<Uint8Array>} */ chunks) =>
+          streamMultipart(chunks, boundary, parserOptions),
+        // Parts are only parsed when they are read
+        { highWaterMark: 0 },
+      );
+
+      /** @type {ReadableStream<Part>} */
+      this.readable = readable;
+      /** @type {WritableStream<Uint8Array>} */
+      this.writable = writable;
+    }
+  }
+
+  /**
+   * A transform stream that encodes the parts written to it as a multipart body,
+   * to compose multipart encoding with pipeThrough. The content-type of the body,
+   * with its boundary, is in `contentType`.
+   */
+  class MultipartEncoderStream {
+    /**
+     * @param {CreateMultipartStreamOptions} [options] - Options
+     */
+    constructor(options = {}) {
+      const boundary = options.boundary
+        ? validateBoundary(options.boundary)
+        : generateBoundary();
+
+      const { readable, writable } = createGeneratorTransform(
+        async function* (/** @type {AsyncIterableIterator<PartInit>} */ parts) {
+          for await (const chunk of encodeMultipart(parts, boundary, options)) {
+            if (chunk.length) {
+              yield chunk;
+            }
+          }
+        },
+      );
+
+      /** @type {ReadableStream<Uint8Array>} */
+      this.readable = readable;
+      /** @type {WritableStream<PartInit>} */
+      this.writable = writable;
+      /** @type {string} */
+      this.boundary = boundary;
+      /** @type {string} */
+      this.contentType = formatMultipartContentType(
+        options.subtype || "form-data",
+        boundary,
+      );
+    }
+  }
+
+  /**
+   * Resolves a Range header, like "bytes=0-499, -500", against the size of a resource
+   * @param {string} header - Header value
+   * @param {number} size - Size of the resource
+   * @returns {ByteRange[]|undefined} - The satisfiable ranges, which may be none,
+   * or undefined if the header is malformed and should be ignored
+   */
+  function parseRangeHeader(header, size) {
+    const match = /^\s*bytes\s*=(.*)$/i.exec(header);
+    if (!match) {
+      return undefined;
+    }
+
+    /** @type {ByteRange[]} */
+    const ranges = [];
+    for (const spec of match[1].split(",")) {
+      const range = /^\s*(\d*)-(\d*)\s*$/.exec(spec);
+      if (!range || (!range[1] && !range[2])) {
+        return undefined;
+      }
+
+      if (!range[1]) {
+        // Suffix range: the last n bytes
+        const length = Math.min(Number(range[2]), size);
+        if (length > 0) {
+          ranges.push({ start: size - length, end: size - 1 });
+        }
+        continue;
+      }
+
+      const start = Number(range[1]);
+      const end = range[2] ? Number(range[2]) : Infinity;
+      if (end < start) {
+        return undefined;
+      }
+      if (start < size) {
+        ranges.push({ start, end: Math.min(end, size - 1) });
+      }
+    }
+    return ranges;
+  }
+
+  /**
+   * A resource that can be read at any offset, like a file in object storage
+   * @typedef {Object} RandomAccessSource
+   * @property {number} size - Size of the resource
+   * @property {function(ByteRange): PartData|Promise<PartData>} read - Read the bytes from `start` to `end` (inclusive)
+   */
+
+  /**
+   * Options for createByteRangesStream
+   * @typedef {Object} CreateByteRangesStreamOptions
+   * @property {string} [boundary] - Boundary for the output. A random one is generated if not given
+   * @property {string} [contentType] - Content-Type of the resource, sent with every part. Defaults to the type of a Blob source
+   */
+
+  /**
+   * Reads a range of a source, checking that it has the promised length
+   * @param {Blob|RandomAccessSource} source - The source
+   * @param {ByteRange} range - The range to read
+   * @returns {AsyncIterableIterator<Uint8Array>} - The bytes
+   */
+  async function* readRange(source, range) {
+    const data =
+      typeof Blob !== "undefined" && source instanceof Blob
+        ? source.slice(range.start, range.end + 1)
+        : await /** @type {RandomAccessSource} */ (source).read(range);
+
+    let length = 0;
+    for await (const chunk of iteratePartData(data)) {
+      length += chunk.length;
+      yield chunk;
+    }
+
+    const expected = range.end - range.start + 1;
+    if (length !== expected) {
+      throw new RangeError(
+        `source returned ${length} bytes for range ${range.start}-${range.end}, expected ${expected}`,
+      );
+    }
+  }
+
+  /**
+   * Creates a multipart/byteranges body, as sent in a 206 response to a Range
+   * request with multiple ranges, with its exact Content-Length
+   *
+   * @param {Blob|RandomAccessSource} source - The resource to read the ranges from
+   * @param {string|ByteRange[]} ranges - A Range header or a list of ranges, with inclusive ends
+   * @param {CreateByteRangesStreamOptions} [options] - Options
+   * @returns {{readable: ReadableStream<Uint8Array>, boundary: string, contentType: string, contentLength: number}} - The body
+   * stream, its boundary, content-type and length
+   */
+  function createByteRangesStream(source, ranges, options = {}) {
+    const size = source.size;
+    const resolved =
+      typeof ranges === "string" ? parseRangeHeader(ranges, size) : ranges;
+    if (!resolved?.length) {
+      throw new RangeError(`no satisfiable range in ${JSON.stringify(ranges)}`);
+    }
+    for (const { start, end } of resolved) {
+      if (
+        !Number.isSafeInteger(start) ||
+        !Number.isSafeInteger(end) ||
+        start < 0 ||
+        end < start ||
+        end >= size
+      ) {
+        throw new RangeError(
+          `invalid range ${start}-${end} for a size of ${size}`,
+        );
+      }
+    }
+
+    const boundary = options.boundary
+      ? validateBoundary(options.boundary)
+      : generateBoundary();
+    const type =
+      options.contentType ??
+      (typeof Blob !== "undefined" && source instanceof Blob
+        ? source.type
+        : "");
+    if (/[\r\n]/.test(type)) {
+      throw new TypeError("Invalid content type: must not contain CR or LF");
+    }
+
+    const headers = resolved.map(({ start, end }) =>
+      stringToArray(
+        formatPartHeader(
+          [
+            ...(type ? [`Content-Type: ${type}`] : []),
+            `Content-Range: bytes ${start}-${end}/${size}`,
+          ],
+          boundary,
+        ),
+      ),
+    );
+    const closing = stringToArray(`--${boundary}--\r\n`);
+
+    let contentLength = closing.length;
+    resolved.forEach(({ start, end }, i) => {
+      contentLength += headers[i].length + end - start + 1 + CRLF.length;
+    });
+
+    const readable = iteratorToReadable(
+      (async function* () {
+        for (let i = 0; i < resolved.length; i++) {
+          yield headers[i];
+          yield* readRange(source, resolved[i]);
+          yield CRLF;
+        }
+        yield closing;
+      })(),
+    );
+
+    return {
+      readable,
+      boundary,
+      contentType: formatMultipartContentType("byteranges", boundary),
+      contentLength,
+    };
+  }
+
+  /**
+   * A frame of a multipart/x-mixed-replace stream: its headers and all of its data.
+   * Frames usually have no Content-Disposition, and so no `name`.
+   * @typedef {Omit<Part, 'data'|'skip'|'digest'|keyof PartBodyMethods> & {data: Uint8Array}} MultipartFrame
+   */
+
+  /**
+   * Reads a long-lived multipart stream, like a multipart/x-mixed-replace MJPEG
+   * feed, and yields every frame as soon as it is complete. Takes the same
+   * arguments as streamMultipart and respects its limits, so set maxFieldSize to
+   * bound the size of a frame. Parts don't need a Content-Disposition, and the
+   * stream may end without a closing boundary: an incomplete last frame is dropped.
+   * A missing body, or one without any boundary, throws a MultipartParseError "UNEXPECTED_EOF".
+   * @param {...any} args - Same as streamMultipart
+   * @returns {AsyncIterableIterator<MultipartFrame>} - The frames
+   */
+  async function* streamMixedReplace(...args) {
+    const { body, boundary, options } = resolveMultipartArgs(args);
+    /** @type {{parts: number, files: number, started?: boolean}} */
+    const counts = { parts: 0, files: 0 };
+    try {
+      for await (const part of streamParts(
+        body,
+        boundary,
+        { ...options, generic: options.generic ?? true },
+        0,
+        counts,
+      )) {
+        const data = await part.bytes();
+        /** @type {Record<string, any>} */
+        const frame = {};
+        for (const [key, value] of Object.entries(part)) {
+          if (typeof value !== "function") {
+            frame[key] = value;
+          }
+        }
+        frame.data = data;
+        yield /** @type {MultipartFrame} */ (frame);
+      }
+    } catch (error) {
+      // The feed ended, e.g. because the camera went away. Before the first
+      // boundary, like without a body, there was no feed to begin with.
+      if (
+        !counts.started ||
+        !(error instanceof MultipartParseError) ||
+        error.code !== "UNEXPECTED_EOF"
+      ) {
+        throw error;
+      }
+    }
+
+    if (!counts.started) {
+      throw new MultipartParseError(
+        "UNEXPECTED_EOF",
+        "malformed multipart-form data: no boundary found",
+        { partIndex: 0 },
+      );
+    }
+  }
+
+  /**
+   * Options for createMultipartWriter
+   * @typedef {Object} CreateMultipartWriterOptions
+   * @property {string} [boundary] - Boundary for the output. A random one is generated if not given
+   * @property {string} [subtype] - Multipart subtype used in the content-type. Defaults to "x-mixed-replace"
+   */
+
+  /**
+   * A multipart stream that parts can be pushed to while it is open
+   * @typedef {Object} MultipartWriter
+   * @property {ReadableStream<Uint8Array>} readable - The multipart body
+   * @property {string} boundary - The boundary
+   * @property {string} contentType - The content-type of the body
+   * @property {function(PartInit): Promise<void>} write - Write a part. Parts are written in
+   * order, and the promise resolves once the consumer took all of it
+   * @property {function(): Promise<void>} close - Write the closing boundary and end the stream
+   * @property {function(unknown=): Promise<void>} abort - Error the stream
+   */
+
+  /**
+   * Creates an open multipart stream, like a multipart/x-mixed-replace feed,
+   * to push parts to until it is closed
+   * @param {CreateMultipartWriterOptions} [options] - Options
+   * @returns {MultipartWriter} - The stream and the methods to write to it
+   */
+  function createMultipartWriter(options = {}) {
+    const boundary = options.boundary
+      ? validateBoundary(options.boundary)
+      : generateBoundary();
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    let closed = false;
+
+    // Writes are chained so the parts don't get interleaved
+    let queue = Promise.resolve();
+
+    /**
+     * Runs a write after the previous ones, erroring the stream if it fails halfway
+     * @param {function(): Promise<void>} task - The write
+     * @returns {Promise<void>}
+     */
+    function enqueue(task) {
+      const result = queue.then(async () => {
+        try {
+          await task();
+        } catch (error) {
+          await writer.abort(error).catch(() => {});
+          throw error;
+        }
+      });
+      queue = result.catch(() => {});
+      return result;
+    }
+
+    return {
+      readable,
+      boundary,
+      contentType: formatMultipartContentType(
+        options.subtype || "x-mixed-replace",
+        boundary,
+      ),
+      write(part) {
+        if (closed) {
+          return Promise.reject(new TypeError("multipart writer is closed"));
+        }
+        // Build the header right away, so invalid headers throw to the caller
+        const header = stringToArray(
+          formatPartHeader(buildHeaderLines(part), boundary),
+        );
+        return enqueue(async () => {
+          await writer.ready;
+          await writer.write(header);
+          await writePartData(writer, part.data);
+          await writer.ready;
+          await writer.write(CRLF);
+        });
+      },
+      close() {
+        if (closed) {
+          return queue;
+        }
+        closed = true;
+        return enqueue(async () => {
+          await writer.ready;
+          await writer.write(stringToArray(`--${boundary}--\r\n`));
+          await writer.close();
+        });
+      },
+      async abort(reason) {
+        closed = true;
+        await writer.abort(reason);
+      },
+    };
+  }
+
+  /**
+   * The parts of a Node Writable (e.g. http.ServerResponse or fs.WriteStream) used by pipeToNodeWritable
+   * @typedef {Object} NodeWritable
+   * @property {function(Uint8Array): boolean} write
+   * @property {function(function(Error=): void): void} end
+   * @property {function(Error=): void} destroy
+   * @property {function(string, function(...any): void): void} on
+   * @property {function(string, function(...any): void): void} off
+   */
+
+  /**
+   * Waits for a Node Writable to drain
+   * @param {NodeWritable} writable - The writable
+   * @returns {Promise<void>}
+   */
+  function waitForDrain(writable) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        writable.off("drain", onDrain);
+        writable.off("error", onError);
+        writable.off("close", onClose);
+      };
+      const onDrain = () => {
+        cleanup();
+        resolve();
+      };
+      /** @param {Error} error */
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new Error("Writable closed before the stream ended"));
+      };
+      writable.on("drain", onDrain);
+      writable.on("error", onError);
+      writable.on("close", onClose);
+    });
+  }
+
+  /**
+   * Pipes a ReadableStream, like the output of getReadableFormDataStream, into
+   * a Node Writable, respecting backpressure. The writable is ended when the
+   * stream is done, and destroyed when either side fails.
+   *
+   * @param {ReadableStream<Uint8Array>} readable - The stream to read from
+   * @param {NodeWritable} writable - The Node Writable to write to
+   * @returns {Promise<void>} - Resolves when everything is written
+   */
+  async function pipeToNodeWritable(readable, writable) {
+    const reader = readable.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        if (!writable.write(value)) {
+          await waitForDrain(writable);
+        }
+      }
+
+      await new Promise((resolve, reject) =>
+        writable.end((error) => (error ? reject(error) : resolve(undefined))),
+      );
+    } catch (error) {
+      await reader.cancel(error).catch(() => {});
+      writable.destroy(error);
+      throw error;
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Options for parseMultipart
+   * @typedef {StreamMultipartOptions & {fileData?: "bytes"|"blob"}} ParseMultipartOptions
+   */
+
+  /**
+   * A file collected by parseMultipart
+   * @typedef {Object} ParsedFile
+   * @property {string} name - Field name
+   * @property {string} filename - The filename or path
+   * @property {string} type - MIME type, defaults to application/octet-stream
+   * @property {number} size - Size in bytes
+   * @property {Uint8Array|Blob} data - The file contents
+   */
+
+  /**
+   * Adds a field value, turning repeated names into arrays
+   * @param {Map<string, string|string[]>} fields - The fields collected so far
+   * @param {string} name - Field name
+   * @param {string} value - Field value
+   * @returns {void}
+   */
+  function appendField(fields, name, value) {
+    const existing = fields.get(name);
+    if (existing === undefined) {
+      fields.set(name, value);
+    } else if (Array.isArray(existing)) {
+      existing.push(value);
+    } else {
+      fields.set(name, [existing, value]);
+    }
+  }
+
+  /**
+   * Parses a whole multipart body into text fields and files. Takes the same
+   * arguments as streamMultipart, and respects its limits.
+   * @param {...any} args - Same as streamMultipart. The options may also contain
+   * `fileData: "blob"` to get files as Blobs instead of Uint8Arrays
+   * @returns {Promise<{fields: Record<string, string|string[]>, files: ParsedFile[]}>} - Fields, with
+   * arrays for repeated names, and files in the order they were received
+   */
+  async function parseMultipart(...args) {
+    const { body, boundary, options } = resolveMultipartArgs(args);
+    const { fileData = "bytes" } = /** @type {ParseMultipartOptions} */ (
+      options
+    );
+
+    /** @type {Map<string, string|string[]>} */
+    const fields = new Map();
+    /** @type {ParsedFile[]} */
+    const files = [];
+
+    for await (const part of streamMultipart(body, boundary, options)) {
+      const data = await part.bytes();
+
+      if (part.filename !== undefined) {
+        const type = part["content-type"] || "application/octet-stream";
+        files.push({
+          name: part.name,
+          filename: part.filename,
+          type,
+          size: data.length,
+          data:
+            fileData === "blob"
+              ? new Blob([/** @type {BlobPart} */ (data)], { type })
+              : data,
+        });
+        continue;
+      }
+
+      appendField(
+        fields,
+        part.name,
+        decodeText(data, getCharset(part["content-type"])),
+      );
+    }
+
+    // fromEntries defines own properties, so a "__proto__" field is harmless
+    return { fields: Object.fromEntries(fields), files };
+  }
+
+  /**
+   * Parses a whole multipart body into a FormData, with files as File
+   * objects. Takes the same arguments as streamMultipart, and respects its limits.
+   * @param {...any} args - Same as streamMultipart
+   * @returns {Promise<FormData>} - The parsed form data
+   */
+  async function toFormData(...args) {
+    const { body, boundary, options } = resolveMultipartArgs(args);
+    const formData = new FormData();
+
+    for await (const part of streamMultipart(body, boundary, options)) {
+      const data = await part.bytes();
+
+      if (part.filename !== undefined) {
+        const type = part["content-type"] || "application/octet-stream";
+        formData.append(
+          part.name,
+          new Blob([/** @type {BlobPart} */ (data)], { type }),
+          part.filename,
+        );
+      } else {
+        formData.append(
+          part.name,
+          decodeText(data, getCharset(part["content-type"])),
+        );
+      }
+    }
+
+    return formData;
+  }
+
+  /**
+   * Normalizes a Content-ID, or a "cid:" URL referencing one (RFC 2392), to the bare id
+   * @param {string} id - Like "<img1@example.com>", "img1@example.com" or "cid:img1@example.com"
+   * @returns {string} - Like "img1@example.com"
+   */
+  function normalizeContentId(id) {
+    let out = id.trim();
+    if (/^cid:/i.test(out)) {
+      out = out.slice(4);
+      try {
+        out = decodeURIComponent(out);
+      } catch {
+        // keep it as it is
+      }
+    }
+    return out.replace(/^<(.*)>$/, "$1").trim();
+  }
+
+  /**
+   * A whole multipart message, like multipart/mixed or multipart/related
+   * @typedef {Object} MultipartMessage
+   * @property {ContentType} [contentType] - The Content-Type of the message, if it was given
+   * @property {Part[]} parts - All parts, their data is buffered and can be read in any order
+   * @property {Part} [start] - The root part: for multipart/related the one its "start" parameter
+   * refers to, otherwise the first part
+   * @property {function(string): Part|undefined} get - Look up a part by Content-ID, with or without
+   * angle brackets, or by a "cid:" URL
+   */
+
+  /**
+   * Options for parseMultipartMessage
+   * @typedef {StreamMultipartOptions & {start?: string}} ParseMultipartMessageOptions
+   */
+
+  /**
+   * Parses a whole MIME multipart message, like a multipart/mixed batch response or a
+   * multipart/related document with inline images. Takes the same arguments as
+   * streamMultipart, and respects its limits. Parts are parsed in generic mode
+   * unless the Content-Type is multipart/form-data.
+   * @param {...any} args - Same as streamMultipart. The options may also contain
+   * `start`, the Content-ID of the root part, for when no Content-Type is given
+   * @returns {Promise<MultipartMessage>} - The parts, with lookup by Content-ID
+   */
+  async function parseMultipartMessage(...args) {
+    const { body, boundary, options, contentType } = resolveMultipartArgs(args);
+    const {
+      generic = contentType?.subtype !== "form-data",
+      start = contentType?.params.start,
+    } = /** @type {ParseMultipartMessageOptions} */ (options);
+
+    /** @type {Part[]} */
+    const parts = [];
+    /** @type {Map<string, Part>} */
+    const byContentId = new Map();
+    for await (const part of streamMultipart(body, boundary, {
+      ...options,
+      generic,
+      unconsumedData: "buffer",
+    })) {
+      parts.push(part);
+      const contentId = part["content-id"];
+      if (contentId !== undefined) {
+        const id = normalizeContentId(contentId);
+        if (!byContentId.has(id)) {
+          byContentId.set(id, part);
+        }
+      }
+    }
+
+    /**
+     * Look up a part by Content-ID
+     * @param {string} id - The Content-ID or a "cid:" URL
+     * @returns {Part|undefined} - The part
+     */
+    const get = (id) => byContentId.get(normalizeContentId(id));
+
+    return {
+      contentType,
+      parts,
+      start: start === undefined ? parts[0] : get(start),
+      get,
+    };
+  }
+
+  /**
+   * Describes a file part that is about to be stored
+   * @typedef {Object} UploadInfo
+   * @property {string} name - Field name
+   * @property {string} filename - The filename or path sent by the client
+   * @property {string} type - MIME type, defaults to application/octet-stream
+   * @property {number} partIndex - Index of the part in the body
+   */
+
+  /**
+   * A file that was stored by handleUploads. Besides the properties below it has
+   * whatever the storage returned, like `path`, `key` or `data`
+   * @typedef {UploadInfo & {size: number} & Record<string, any>} UploadedFile
+   */
+
+  /**
+   * Where handleUploads puts files. `write` must consume `data` and resolve
+   * with where it stored it, e.g. `{ path }` or `{ key }`. If it fails, it should
+   * clean up after itself. `remove` is called for files that were already
+   * written when handling the upload fails later on.
+   * @typedef {Object} UploadStorage
+   * @property {function(AsyncIterable<Uint8Array>, UploadInfo): Promise<Record<string, any>>} write - Store a file
+   * @property {function(UploadedFile): Promise<void>} [remove] - Remove a stored file
+   */
+
+  /**
+   * Options for handleUploads
+   * @typedef {StreamMultipartOptions & {storage?: UploadStorage}} HandleUploadsOptions
+   */
+
+  /**
+   * Storage that keeps files in memory as `data: Uint8Array`
+   * @returns {UploadStorage} - The storage
+   */
+  function memoryStorage() {
+    return {
+      async write(data) {
+        return { data: await readPartData(data) };
+      },
+      async remove() {},
+    };
+  }
+
+  /**
+   * Gets a Node built-in module, without a bundler seeing a `require`
+   * @param {string} name - Module name, like "node:fs/promises"
+   * @returns {any} - The module
+   */
+  function loadNodeModule(name) {
+    const process = /** @type {any} */ (globalThis).process;
+    if (typeof process?.getBuiltinModule === "function") {
+      return process.getBuiltinModule(name);
+    }
+
+    if (typeof require === "function") {
+      return require(name);
+    }
+
+    throw new Error(`${name} is only available in Node.js`);
+  }
+
+  /**
+   * Options for diskStorage
+   * @typedef {Object} DiskStorageOptions
+   * @property {string} [directory] - Directory to write to, defaults to the OS temp directory
+   * @property {function(UploadInfo): string|Promise<string>} [filename] - Name of the file in the directory,
+   * defaults to a random name. The filename sent by the client is never used by default.
+   */
+
+  /**
+   * Storage that writes files to disk (Node.js only) and resolves with their `path`.
+   * Partially written files are deleted when writing fails.
+   * @param {DiskStorageOptions} [options] - Options
+   * @returns {UploadStorage} - The storage
+   */
+  function diskStorage(options = {}) {
+    const fs = loadNodeModule("node:fs/promises");
+    const path = loadNodeModule("node:path");
+    // globalThis.crypto is missing on Node 18 without a flag
+    const { randomUUID } = loadNodeModule("node:crypto");
+    const {
+      directory = loadNodeModule("node:os").tmpdir(),
+      filename = () => `upload-${randomUUID()}`,
+    } = options;
+
+    return {
+      async write(data, info) {
+        await fs.mkdir(directory, { recursive: true });
+        const file = path.join(directory, await filename(info));
+        const relative = path.relative(directory, file);
+        if (
+          !relative ||
+          relative.startsWith("..") ||
+          path.isAbsolute(relative)
+        ) {
+          throw new TypeError(`Upload path ${file} is outside of ${directory}`);
+        }
+
+        // "wx" fails instead of overwriting an existing file
+        const handle = await fs.open(file, "wx");
+        try {
+          try {
+            for await (const chunk of data) {
+              await handle.write(chunk);
+            }
+          } finally {
+            await handle.close();
+          }
+        } catch (error) {
+          await fs.rm(file, { force: true });
+          throw error;
+        }
+
+        return { path: file };
+      },
+      async remove(file) {
+        await fs.rm(file.path, { force: true });
+      },
+    };
+  }
+
+  /**
+   * Parses a multipart body, handing files to a storage and collecting the
+   * text fields. Takes the same arguments as streamMultipart, and respects its
+   * limits. When anything fails, the files that were already stored are removed.
+   * @param {...any} args - Same as streamMultipart. The options may also contain
+   * a `storage`, which defaults to memoryStorage()
+   * @returns {Promise<{fields: Record<string, string|string[]>, files: UploadedFile[]}>} - Fields, with
+   * arrays for repeated names, and the stored files in the order they were received
+   */
+  async function handleUploads(...args) {
+    const { body, boundary, options } = resolveMultipartArgs(args);
+    const { storage = memoryStorage() } = /** @type {HandleUploadsOptions} */ (
+      options
+    );
+
+    /** @type {Map<string, string|string[]>} */
+    const fields = new Map();
+    /** @type {UploadedFile[]} */
+    const files = [];
+    let partIndex = 0;
+
+    try {
+      for await (const part of streamMultipart(body, boundary, options)) {
+        const index = partIndex++;
+        if (part.filename === undefined) {
+          appendField(fields, part.name, await part.text());
+          continue;
+        }
+
+        /** @type {UploadInfo} */
+        const info = {
+          name: part.name,
+          filename: part.filename,
+          type: part["content-type"] || "application/octet-stream",
+          partIndex: index,
+        };
+
+        let size = 0;
+        const stored = await storage.write(
+          (async function* () {
+            for await (const chunk of part.data) {
+              size += chunk.length;
+              yield chunk;
+            }
+          })(),
+          info,
+        );
+        // Whatever the storage did not read does not count as stored
+        await part.skip();
+
+        files.push({ ...stored, ...info, size });
+      }
+    } catch (error) {
+      await Promise.all(
+        files.map((file) => storage.remove?.(file).catch(() => {})),
+      );
+      throw error;
+    }
+
+    return { fields: Object.fromEntries(fields), files };
+  }
+
+  /**
+   * Constraints for the parts with one field name
+   * @typedef {Object} FieldSchema
+   * @property {boolean} [required] - The field must be sent, same as `minCount: 1`
+   * @property {number} [minCount] - Minimum number of parts with this name
+   * @property {number} [maxCount] - Maximum number of parts with this name
+   * @property {boolean} [file] - true if the parts must be files, false if they must be text fields.
+   * If not given, either is fine.
+   * @property {number} [maxSize] - Maximum size of the data of each part in bytes
+   * @property {string[]} [types] - Allowed content-types, like "image/png" or "image/*". Files without
+   * a content-type are application/octet-stream, text fields are text/plain.
+   * @property {RegExp} [filename] - Pattern the filename must match
+   */
+
+  /**
+   * Declarative constraints for a multipart form
+   * @typedef {Object} FormSchema
+   * @property {Record<string, FieldSchema>} fields - Constraints by field name
+   * @property {boolean} [allowUnknown] - Let parts with names that aren't in `fields` through
+   * unchecked, instead of reporting them
+   */
+
+  /**
+   * Options for validate
+   * @typedef {Object} ValidateOptions
+   * @property {boolean} [failFast] - Throw at the first part that breaks the schema (the default),
+   * or set to false to drop such parts and report all issues at the end. The data of a part that is too
+   * large ends at the limit then.
+   */
+
+  /**
+   * Checks the parts of one multipart body against a FormSchema
+   * @typedef {Object} FormValidator
+   * @property {ValidationIssue[]} issues - The issues found so far
+   * @property {function(AsyncIterable<Part>): AsyncIterableIterator<Part>} parts - Pass on the parts that match
+   * the schema, checking their size while they are read, and throw a MultipartValidationError
+   * @property {FilterPart} filterPart - Use the schema as the filterPart of getReadableFormDataStream. With
+   * failFast the output errors with a MultipartValidationError at the first part that breaks it, otherwise
+   * such parts are dropped and the output errors once the input ended. Missing fields are checked then.
+   * @property {function(): void} finish - Check for missing fields, and throw a MultipartValidationError
+   * with all issues if there are any
+   */
+
+  /**
+   * Tests whether a content-type is one of the allowed ones
+   * @param {string} contentType - The content-type of the part
+   * @param {string[]} types - Allowed types, like "image/png" or "image/*"
+   * @returns {boolean} - Whether it is allowed
+   */
+  function matchesType(contentType, types) {
+    let type;
+    try {
+      const parsed = parseContentType(contentType);
+      type = `${parsed.type}/${parsed.subtype}`;
+    } catch {
+      return false;
+    }
+
+    return types.some((allowed) => {
+      const pattern = allowed.toLowerCase();
+      return pattern.endsWith("/*")
+        ? type.startsWith(pattern.slice(0, -1))
+        : type === pattern;
+    });
+  }
+
+  /**
+   * Creates a validator for one multipart body. It keeps count of the parts it
+   * has seen, so use a new one for every body.
+   * @param {FormSchema} schema - The constraints
+   * @param {ValidateOptions} [options] - Options
+   * @returns {FormValidator} - The validator
+   */
+  function validate(schema, options = {}) {
+    const { fields, allowUnknown = false } = schema;
+    const { failFast = true } = options;
+
+    /** @type {ValidationIssue[]} */
+    const issues = [];
+    /** @type {Map<string, number>} */
+    const counts = new Map();
+    let partIndex = 0;
+    let finished = false;
+
+    /**
+     * Checks the headers of a part
+     * @param {Part} part - The part
+     * @returns {{ok: boolean, field?: FieldSchema, index: number}} - Whether it matches, and the
+     * constraints for its data
+     */
+    function checkPart(part) {
+      const index = partIndex++;
+      const name = part.name ?? "";
+      const field = Object.hasOwn(fields, name) ? fields[name] : undefined;
+      if (!field) {
+        if (allowUnknown) {
+          return { ok: true, index };
+        }
+        issues.push({
+          code: "UNKNOWN_FIELD",
+          field: name,
+          partIndex: index,
+          message: `unexpected field "${name}"`,
+        });
+        return { ok: false, index };
+      }
+
+      /** @type {Omit<ValidationIssue, "field" | "partIndex">[]} */
+      const found = [];
+      const count = (counts.get(name) ?? 0) + 1;
+      counts.set(name, count);
+      if (field.maxCount !== undefined && count > field.maxCount) {
+        found.push({
+          code: "MAX_COUNT",
+          message:
+            field.maxCount === 1
+              ? `field "${name}" is allowed only once`
+              : `field "${name}" is allowed at most ${field.maxCount} times`,
+          expected: field.maxCount,
+          actual: count,
+        });
+      }
+
+      const isFile = part.filename !== undefined;
+      if (field.file === true && !isFile) {
+        found.push({
+          code: "EXPECTED_FILE",
+          message: `field "${name}" must be a file`,
+        });
+      } else if (field.file === false && isFile) {
+        found.push({
+          code: "EXPECTED_FIELD",
+          message: `field "${name}" must not be a file`,
+        });
+      }
+
+      const type =
+        part["content-type"] ||
+        (isFile ? "application/octet-stream" : "text/plain");
+      if (field.types && !matchesType(type, field.types)) {
+        found.push({
+          code: "TYPE",
+          message: `field "${name}" has type ${type}, expected ${field.types.join(" or ")}`,
+          expected: field.types,
+          actual: type,
+        });
+      }
+
+      if (field.filename && !field.filename.test(part.filename ?? "")) {
+        found.push({
+          code: "FILENAME",
+          message: `field "${name}" has a filename that is not allowed`,
+          expected: String(field.filename),
+          actual: part.filename,
+        });
+      }
+
+      for (const issue of found) {
+        issues.push({ ...issue, field: name, partIndex: index });
+      }
+      return { ok: !found.length, field, index };
+    }
+
+    /**
+     * Throws the issues found so far
+     * @returns {never}
+     */
+    function fail() {
+      throw new MultipartValidationError(issues.slice());
+    }
+
+    /**
+     * Checks the size of the data of a part while it is read. With failFast, a
+     * part that is too large throws, otherwise its data ends there.
+     * @param {Part} part - The part
+     * @param {number} maxSize - Maximum size in bytes
+     * @param {number} index - Index of the part
+     * @returns {Part} - A copy of the part
+     */
+    function limitSize(part, maxSize, index) {
+      const name = part.name ?? "";
+      const { data: source, skip } = part;
+      const data = (async function* () {
+        let size = 0;
+        for await (const chunk of source) {
+          size += chunk.length;
+          if (size > maxSize) {
+            issues.push({
+              code: "MAX_SIZE",
+              field: name,
+              partIndex: index,
+              message: `field "${name}" is larger than ${maxSize} bytes`,
+              expected: maxSize,
+              actual: size,
+            });
+            if (failFast) {
+              fail();
+            }
+            // Reported by finish(), the rest of the part is dropped
+            await skip();
+            return;
+          }
+          yield chunk;
+        }
+      })();
+
+      return copyPart(part, data, skip);
+    }
+
+    /**
+     * Checks for missing fields, and throws all issues if there are any
+     * @returns {void}
+     */
+    function finish() {
+      if (!finished) {
+        finished = true;
+        for (const [name, field] of Object.entries(fields)) {
+          const minCount = field.minCount ?? (field.required ? 1 : 0);
+          const count = counts.get(name) ?? 0;
+          if (count < minCount) {
+            issues.push({
+              code: "MIN_COUNT",
+              field: name,
+              message:
+                minCount === 1
+                  ? `field "${name}" is required`
+                  : `field "${name}" is required at least ${minCount} times`,
+              expected: minCount,
+              actual: count,
+            });
+          }
+        }
+      }
+      if (issues.length) {
+        fail();
+      }
+    }
+
+    return {
+      issues,
+      async *parts(parts) {
+        for await (const part of parts) {
+          const { ok, field, index } = checkPart(part);
+          if (!ok) {
+            if (failFast) {
+              fail();
+            }
+            await part.skip();
+            continue;
+          }
+
+          yield field?.maxSize !== undefined
+            ? limitSize(part, field.maxSize, index)
+            : part;
+        }
+        finish();
+      },
+      filterPart: Object.assign(
+        /**
+         * @param {Part} part - The part
+         * @returns {{ok: boolean}} - Whether to keep it
+         */
+        (part) => {
+          const { ok, field, index } = checkPart(part);
+          if (!ok && failFast) {
+            fail();
+          }
+          if (ok && field?.maxSize !== undefined) {
+            // The part itself is passed on, so its data is limited in place
+            Object.assign(part, limitSize(part, field.maxSize, index));
+          }
+          return { ok };
+        },
+        { finish },
+      ),
+      finish,
+    };
   }
 
   // Return as a module object - these will be exported or added to global
@@ -966,11 +5045,39 @@
     StreamSearch,
     ReadableStreamSearch,
     streamMultipart,
+    parseMultipart,
+    toFormData,
+    parseMultipartMessage,
+    handleUploads,
+    memoryStorage,
+    diskStorage,
+    parseContentType,
+    parseContentDisposition,
+    getBoundary,
     stringToArray,
     arrayToString,
+    decodeText,
     mergeArrays,
     arraysEqual,
     getReadableFormDataStream,
+    createMultipartStream,
+    MultipartDecoderStream,
+    MultipartEncoderStream,
+    createByteRangesStream,
+    streamMixedReplace,
+    createMultipartWriter,
+    parseRangeHeader,
+    parseContentRange,
+    pipeToNodeWritable,
     buildHeaderLines,
+    MultipartError,
+    MultipartParseError,
+    MultipartLimitError,
+    MultipartValidationError,
+    validate,
+    iteratePartData,
+    createTransferDecoder,
+    createTransferEncoder,
+    createHash,
   };
 });
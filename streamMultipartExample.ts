@@ -3,21 +3,10 @@ import { Part } from "./part";
 
 // Basic file upload handler
 export async function handleUpload(body: ReadableStream, headers: Headers) {
-  // Extract boundary from Content-Type header
-  const contentType = headers.get("content-type");
-  if (!contentType) {
-    throw new Error("No content-type provided. Needed for boundary");
-  }
-  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
-  if (!boundaryMatch) {
-    throw new Error("Invalid content type: boundary not found");
-  }
-  const boundary = boundaryMatch[1] || boundaryMatch[2];
-
-  // Process each part
+  // Process each part, the boundary is taken from the Content-Type header
   for await (const part of streamMultipart(
+    headers,
     body,
-    boundary,
   ) as AsyncIterableIterator<Part>) {
     console.log(`Processing: ${part.name}`);
 
@@ -1,16 +1,54 @@
 // Type definitions for multipart-parser
 export as namespace MultipartParser;
 
+/**
+ * Methods to read the data of a part in one go. The data can only be consumed
+ * once: calling a second method, reading `data` after one, or either after
+ * reading `data` or calling `skip()`, throws a MultipartError with code "BODY_USED".
+ */
+export interface PartBodyMethods {
+  /** Decode the data, using the given encoding or else the charset of the part (UTF-8 by default) */
+  text(encoding?: string): Promise<string>;
+  /** Read the data into a Uint8Array */
+  bytes(): Promise<Uint8Array>;
+  /** Read the data into an ArrayBuffer */
+  arrayBuffer(): Promise<ArrayBuffer>;
+  /** Parse the data as JSON */
+  json<T = any>(): Promise<T>;
+  /** Read the data into a Blob typed with the content-type of the part */
+  blob(): Promise<Blob>;
+  /** Get the data as a ReadableStream. Cancelling it skips the rest of the part */
+  stream(): ReadableStream<Uint8Array>;
+}
+
 /**
  * Represents a multipart form part with headers and streaming data
  */
-export interface Part {
-  /** Field name from the Content-Disposition header */
-  name: string;
+export interface Part extends PartBodyMethods {
+  /**
+   * Field name from the Content-Disposition header. Always set for multipart/form-data,
+   * in generic mode (mixed, related, byteranges, x-mixed-replace, ...) parts may have none.
+   */
+  name?: string;
   /** Async iterable for streaming the part's data */
   data: AsyncIterableIterator<Uint8Array>;
   /** Array of raw header lines */
   headerLines: string[];
+  /** Discard the remaining data of the part without buffering it */
+  skip(): Promise<void>;
+  /**
+   * Only with the `hash` option: resolves with the lowercase hex hash of the data once all
+   * of it has streamed past, reading the rest into the buffer if needed
+   */
+  digest?(): Promise<string>;
+  /** The parsed Content-Range, for parts of a multipart/byteranges response (in generic mode) */
+  range?: ByteRange;
+  /** With the `nested` option: the index of the part at every level, like [1, 0] */
+  path?: number[];
+  /** With the `nested` option: the headers of the enclosing multipart parts, outermost first */
+  parents?: Array<
+    Omit<Part, "data" | "skip" | "digest" | keyof PartBodyMethods>
+  >;
   /** Optional filename if the part represents a file upload */
   filename?: string;
   /** MIME content type */
@@ -37,13 +75,50 @@ export interface Part {
 }
 
 /**
- * Represents the parsed content disposition from a multipart form part header
+ * Data that can be written as the body of a part
+ */
+export type PartData =
+  | Uint8Array
+  | ArrayBuffer
+  | string
+  | Blob
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array>;
+
+/**
+ * Anything that can be parsed: a WHATWG ReadableStream, a Node Readable or
+ * any other AsyncIterable of chunks, bytes, a Blob or a string
+ */
+export type MultipartBody = PartData | ArrayBufferView;
+
+/**
+ * A part that can be written to a multipart stream. Same as Part, but data can be any PartData
+ */
+export type PartInit = Omit<
+  Part,
+  "data" | "headerLines" | "skip" | keyof PartBodyMethods
+> & {
+  /** The body of the part */
+  data: PartData;
+  /**
+   * Raw header lines. Ignored when writing unless `preserveHeaderLines` is set,
+   * otherwise the headers are built from the properties.
+   */
+  headerLines?: string[];
+};
+
+/**
+ * Represents the parsed content disposition from a multipart form part header.
+ * RFC 2231 / RFC 5987 parameters (`filename*`, `filename*0*`, ...) are decoded
+ * and take precedence over their plain counterparts.
  */
 export interface ContentDisposition {
   /** Field name from the Content-Disposition header */
   name: string;
   /** Optional filename if the part represents a file upload */
   filename?: string;
+  /** Any other parameters, with lowercased names */
+  [key: string]: string | undefined;
 }
 
 /**
@@ -69,7 +144,8 @@ export class StreamSearch {
   /**
    * Feed data to the search algorithm
    * @param chunk Data chunk to search in
-   * @returns Array of tokens (Uint8Array data or MATCH symbol)
+   * @returns Array of tokens (Uint8Array data or MATCH symbol). Data tokens are
+   * views of `chunk` rather than copies, so `chunk` must not be modified while they are in use.
    */
   feed(chunk: Uint8Array): Token[];
 
@@ -89,10 +165,7 @@ export class ReadableStreamSearch {
    * @param needle The pattern to search for
    * @param readableStream Stream to search in
    */
-  constructor(
-    needle: Uint8Array | string,
-    readableStream: ReadableStream<Uint8Array>
-  );
+  constructor(needle: Uint8Array | string, readableStream: MultipartBody);
 
   /**
    * Get chunks between matches
@@ -125,17 +198,842 @@ export class ReadableStreamSearch {
   [Symbol.asyncIterator](): AsyncIterableIterator<Token>;
 }
 
+/**
+ * Limits to protect the parser against oversized or malicious input.
+ * Exceeding any of them throws a MultipartLimitError.
+ */
+export interface MultipartLimits {
+  /** Maximum number of parts */
+  maxParts?: number;
+  /** Maximum size in bytes of the header block of a single part */
+  maxHeaderBytes?: number;
+  /** Maximum number of header lines of a single part */
+  maxHeaderLines?: number;
+  /** Maximum size in bytes of the data of a non-file part */
+  maxFieldSize?: number;
+  /** Maximum size in bytes of the data of a file part */
+  maxFileSize?: number;
+  /** Maximum number of file parts */
+  maxFiles?: number;
+  /** Maximum size in bytes of the whole multipart body */
+  maxTotalBytes?: number;
+  /** Maximum nesting depth of multipart parts, with the `nested` option. Defaults to 10 */
+  maxDepth?: number;
+}
+
+/**
+ * Stable error codes for multipart failures
+ */
+export type MultipartErrorCode =
+  | "BAD_CONTENT_TYPE"
+  | "BAD_BOUNDARY"
+  | "UNEXPECTED_EOF"
+  | "UNEXPECTED_BOUNDARY"
+  | "MISSING_DISPOSITION"
+  | "BAD_DISPOSITION"
+  | "BAD_HEADER"
+  | "LIMIT_EXCEEDED"
+  | "DATA_DISCARDED"
+  | "BODY_USED"
+  | "HASH_MISMATCH"
+  | "VALIDATION_FAILED";
+
+/**
+ * Where in the input an error occurred
+ */
+export interface MultipartErrorContext {
+  /** Index of the part */
+  partIndex?: number;
+  /** Field name of the part, if known */
+  name?: string;
+  /** Byte offset in the input */
+  offset?: number;
+}
+
+/**
+ * Base class of all errors thrown for multipart input
+ */
+export class MultipartError extends Error {
+  constructor(
+    code: MultipartErrorCode,
+    message: string,
+    context?: MultipartErrorContext
+  );
+  /** Stable error code */
+  code: MultipartErrorCode;
+  /** Index of the part in which the error occurred */
+  partIndex?: number;
+  /** Field name of the part, if its headers were parsed already */
+  fieldName?: string;
+  /** Byte offset in the input at which the error occurred */
+  offset?: number;
+}
+
+/**
+ * Error thrown when the multipart input is malformed
+ */
+export class MultipartParseError extends MultipartError {}
+
+/**
+ * Error thrown when one of the MultipartLimits is exceeded
+ */
+export class MultipartLimitError extends MultipartError {
+  constructor(
+    limit: keyof MultipartLimits,
+    max: number,
+    context: { partIndex: number; name?: string; offset: number }
+  );
+  code: "LIMIT_EXCEEDED";
+  /** Name of the limit that was exceeded */
+  limit: keyof MultipartLimits;
+  /** Configured value of the limit */
+  max: number;
+  partIndex: number;
+  offset: number;
+}
+
+/**
+ * Stable codes for the ways a part can break a FormSchema
+ */
+export type ValidationIssueCode =
+  | "UNKNOWN_FIELD"
+  | "MIN_COUNT"
+  | "MAX_COUNT"
+  | "EXPECTED_FILE"
+  | "EXPECTED_FIELD"
+  | "MAX_SIZE"
+  | "TYPE"
+  | "FILENAME";
+
+/**
+ * One way in which a multipart body does not match a FormSchema
+ */
+export interface ValidationIssue {
+  /** Stable issue code */
+  code: ValidationIssueCode;
+  /** Field name */
+  field: string;
+  /** Index of the part, absent for fields that are missing */
+  partIndex?: number;
+  /** Human readable description */
+  message: string;
+  /** The constraint, like the maximum size or the allowed types */
+  expected?: number | string | string[];
+  /** The value that broke it, like the count or the type */
+  actual?: number | string;
+}
+
+/**
+ * Error thrown when a multipart body does not match a FormSchema
+ */
+export class MultipartValidationError extends MultipartError {
+  constructor(issues: ValidationIssue[]);
+  code: "VALIDATION_FAILED";
+  /** All issues found, at least one */
+  issues: ValidationIssue[];
+}
+
+/**
+ * Options for streamMultipart
+ */
+export interface StreamMultipartOptions extends MultipartLimits {
+  /**
+   * What to do with the unread data of a part when the next part is requested:
+   * - "buffer" (default): keep it in memory so it can still be read later
+   * - "discard": drop it as it streams past; reading it afterwards throws
+   * - "block": wait until the part is fully read or `skip()` is called
+   */
+  unconsumedData?: "buffer" | "discard" | "block";
+  /**
+   * Decode base64 and quoted-printable parts while streaming. Decoded parts
+   * get "content-transfer-encoding" set to "binary", headerLines stay untouched.
+   */
+  decodeTransferEncoding?: boolean;
+  /** Aborting cancels the body and rejects pending reads with the abort reason */
+  signal?: AbortSignal;
+  /**
+   * Hash the data of every part while it streams (after transfer decoding). Parts get a
+   * `digest()` method, and parts with an x-file-hash header are checked against it:
+   * a mismatch fails reading the end of the part with a MultipartError "HASH_MISMATCH".
+   */
+  hash?: HashAlgorithm;
+  /**
+   * Parse as a generic MIME multipart (multipart/mixed, related, alternative, ...):
+   * Content-Disposition is optional and may be "inline" or "attachment". Parts without a
+   * name have no `name`, and keep the raw header as "content-disposition".
+   * Defaults to true when a Content-Type other than multipart/form-data is given.
+   */
+  generic?: boolean;
+  /**
+   * Descend into parts that are multipart themselves, like a multipart/mixed group of files
+   * in a form field, and yield their parts instead. Every part gets a `path` and `parents`.
+   * Nested parts without a name get the name of their parent. Limits on the number of parts
+   * and files count all levels, size limits apply to the nested parts, not to their parent.
+   */
+  nested?: boolean;
+  /**
+   * Set to false to tolerate common deviations of real-world clients: bare LF line endings,
+   * a missing CRLF before a boundary, whitespace after a boundary, folded header lines and
+   * a missing closing boundary. Each tolerated issue is reported to `onWarning`. Defaults to true.
+   */
+  strict?: boolean;
+  /** Called for every deviation tolerated with `strict: false` */
+  onWarning?: (warning: MultipartWarning) => void;
+}
+
+/**
+ * Deviations from the multipart syntax tolerated with `strict: false`
+ */
+export type MultipartWarningCode =
+  | "BARE_LF"
+  | "MISSING_CRLF"
+  | "TRANSPORT_PADDING"
+  | "HEADER_FOLDING"
+  | "MISSING_CLOSING_BOUNDARY";
+
+/**
+ * A deviation tolerated by a lenient parse
+ */
+export interface MultipartWarning {
+  /** What was tolerated */
+  code: MultipartWarningCode;
+  /** Human readable description */
+  message: string;
+  /** Index of the part */
+  partIndex: number;
+  /** Byte offset in the input */
+  offset: number;
+}
+
 /**
  * Stream multipart form data without collecting all parts in memory
  * @param body Stream containing multipart data
  * @param boundary Boundary string from Content-Type header
+ * @param options Parser options
+ * @returns Async iterator yielding parts with streamed data
+ */
+export function streamMultipart(
+  body: MultipartBody,
+  boundary: string,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<Part>;
+/**
+ * Stream multipart form data from a Request or Response, taking the boundary from its Content-Type
+ * @param message Request or response containing multipart data
+ * @param options Parser options
+ * @returns Async iterator yielding parts with streamed data
+ */
+export function streamMultipart(
+  message: Request | Response,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<Part>;
+/**
+ * Stream multipart form data, taking the boundary from the Content-Type of the headers
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Parser options
+ * @returns Async iterator yielding parts with streamed data
+ */
+export function streamMultipart(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<Part>;
+/**
+ * Stream multipart form data from a Node IncomingMessage, taking the boundary from its content-type header
+ * @param message Node request or response
+ * @param options Parser options
  * @returns Async iterator yielding parts with streamed data
  */
 export function streamMultipart(
-  body: ReadableStream<Uint8Array>,
-  boundary: string
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: StreamMultipartOptions
 ): AsyncIterableIterator<Part>;
 
+/**
+ * Options for parseMultipart
+ */
+export interface ParseMultipartOptions extends StreamMultipartOptions {
+  /** Return file contents as Uint8Arrays (default) or as Blobs */
+  fileData?: "bytes" | "blob";
+}
+
+/**
+ * A file collected by parseMultipart
+ */
+export interface ParsedFile {
+  /** Field name */
+  name: string;
+  /** The filename or path */
+  filename: string;
+  /** MIME type, defaults to application/octet-stream */
+  type: string;
+  /** Size in bytes */
+  size: number;
+  /** The file contents */
+  data: Uint8Array | Blob;
+}
+
+/**
+ * Result of parseMultipart
+ */
+export interface ParsedMultipart {
+  /** Text fields, with arrays for repeated names */
+  fields: Record<string, string | string[]>;
+  /** Files in the order they were received */
+  files: ParsedFile[];
+}
+
+/**
+ * Parse a whole multipart body into text fields and files
+ * @param body Stream containing multipart data
+ * @param boundary Boundary string from Content-Type header
+ * @param options Parser options and limits
+ */
+export function parseMultipart(
+  body: MultipartBody,
+  boundary: string,
+  options?: ParseMultipartOptions
+): Promise<ParsedMultipart>;
+/**
+ * Parse a whole multipart Request or Response into text fields and files
+ * @param message Request or response containing multipart data
+ * @param options Parser options and limits
+ */
+export function parseMultipart(
+  message: Request | Response,
+  options?: ParseMultipartOptions
+): Promise<ParsedMultipart>;
+/**
+ * Parse a whole multipart body into text fields and files, taking the boundary from the headers
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Parser options and limits
+ */
+export function parseMultipart(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: ParseMultipartOptions
+): Promise<ParsedMultipart>;
+/**
+ * Parse a whole Node IncomingMessage into text fields and files
+ * @param message Node request or response
+ * @param options Parser options and limits
+ */
+export function parseMultipart(
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: ParseMultipartOptions
+): Promise<ParsedMultipart>;
+
+/**
+ * Parse a whole multipart body into a FormData, with files as File objects
+ * @param body Stream containing multipart data
+ * @param boundary Boundary string from Content-Type header
+ * @param options Parser options and limits
+ */
+export function toFormData(
+  body: MultipartBody,
+  boundary: string,
+  options?: StreamMultipartOptions
+): Promise<FormData>;
+/**
+ * Parse a whole multipart Request or Response into a FormData
+ * @param message Request or response containing multipart data
+ * @param options Parser options and limits
+ */
+export function toFormData(
+  message: Request | Response,
+  options?: StreamMultipartOptions
+): Promise<FormData>;
+/**
+ * Parse a whole multipart body into a FormData, taking the boundary from the headers
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Parser options and limits
+ */
+export function toFormData(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: StreamMultipartOptions
+): Promise<FormData>;
+/**
+ * Parse a whole Node IncomingMessage into a FormData
+ * @param message Node request or response
+ * @param options Parser options and limits
+ */
+export function toFormData(
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: StreamMultipartOptions
+): Promise<FormData>;
+
+/**
+ * A range of bytes, like in a Content-Range header
+ */
+export interface ByteRange {
+  /** First byte */
+  start: number;
+  /** Last byte, inclusive */
+  end: number;
+  /** Size of the whole resource, if known */
+  total?: number;
+}
+
+/**
+ * Parse a Content-Range header, like "bytes 0-499/1234" or "bytes 0-499/*"
+ * @param header Header value to parse
+ * @returns The range, throws a MultipartParseError "BAD_HEADER" if malformed
+ */
+export function parseContentRange(header: string): ByteRange;
+
+/**
+ * Resolve a Range header, like "bytes=0-499, -500", against the size of a resource
+ * @param header Range header value
+ * @param size Size of the resource
+ * @returns The satisfiable ranges, which may be none (respond with 416),
+ * or undefined if the header is malformed and should be ignored
+ */
+export function parseRangeHeader(
+  header: string,
+  size: number
+): ByteRange[] | undefined;
+
+/**
+ * A resource that can be read at any offset, like a file in object storage
+ */
+export interface RandomAccessSource {
+  /** Size of the resource */
+  size: number;
+  /** Read the bytes from `start` to `end` (inclusive) */
+  read(range: ByteRange): PartData | Promise<PartData>;
+}
+
+/**
+ * Options for createByteRangesStream
+ */
+export interface CreateByteRangesStreamOptions {
+  /** Boundary for the output. A random one is generated if not given */
+  boundary?: string;
+  /** Content-Type of the resource, sent with every part. Defaults to the type of a Blob source */
+  contentType?: string;
+}
+
+/**
+ * Create a multipart/byteranges body, as sent in a 206 response to a Range request with multiple ranges
+ * @param source The resource to read the ranges from
+ * @param ranges A Range header or a list of ranges with inclusive ends. Throws a RangeError if none is satisfiable.
+ * @param options Options
+ * @returns The body stream, its boundary, content-type and exact length
+ */
+export function createByteRangesStream(
+  source: Blob | RandomAccessSource,
+  ranges: string | ByteRange[],
+  options?: CreateByteRangesStreamOptions
+): {
+  readable: ReadableStream<Uint8Array>;
+  boundary: string;
+  contentType: string;
+  contentLength: number;
+};
+
+/**
+ * A frame of a multipart/x-mixed-replace stream: its headers and all of its data.
+ * Frames usually have no Content-Disposition, and so no `name`.
+ */
+export type MultipartFrame = Omit<
+  Part,
+  "data" | "skip" | "digest" | keyof PartBodyMethods
+> & {
+  data: Uint8Array;
+};
+
+/**
+ * Read a long-lived multipart stream, like a multipart/x-mixed-replace MJPEG feed, and yield
+ * every frame as soon as it is complete. Parts don't need a Content-Disposition, and the stream
+ * may end without a closing boundary: an incomplete last frame is dropped.
+ * A missing body, or one without any boundary, throws a MultipartParseError "UNEXPECTED_EOF".
+ * Set maxFieldSize to bound the size of a frame.
+ * @param body Stream containing multipart data
+ * @param boundary Boundary string from Content-Type header
+ * @param options Parser options and limits
+ */
+export function streamMixedReplace(
+  body: MultipartBody,
+  boundary: string,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<MultipartFrame>;
+/**
+ * Read the frames of a long-lived multipart Request or Response
+ * @param message Request or response containing multipart data
+ * @param options Parser options and limits
+ */
+export function streamMixedReplace(
+  message: Request | Response,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<MultipartFrame>;
+/**
+ * Read the frames of a long-lived multipart body, taking the boundary from the headers
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Parser options and limits
+ */
+export function streamMixedReplace(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<MultipartFrame>;
+/**
+ * Read the frames of a long-lived multipart Node IncomingMessage
+ * @param message Node request or response
+ * @param options Parser options and limits
+ */
+export function streamMixedReplace(
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: StreamMultipartOptions
+): AsyncIterableIterator<MultipartFrame>;
+
+/**
+ * Options for createMultipartWriter
+ */
+export interface CreateMultipartWriterOptions {
+  /** Boundary for the output. A random one is generated if not given */
+  boundary?: string;
+  /** Multipart subtype used in the content-type. Defaults to "x-mixed-replace" */
+  subtype?: string;
+}
+
+/**
+ * A multipart stream that parts can be pushed to while it is open
+ */
+export interface MultipartWriter {
+  /** The multipart body */
+  readable: ReadableStream<Uint8Array>;
+  /** The boundary */
+  boundary: string;
+  /** The content-type of the body */
+  contentType: string;
+  /**
+   * Write a part. Parts are written in order, and the promise resolves once the consumer
+   * took all of it. Rejects when the stream was cancelled.
+   */
+  write(part: PartInit): Promise<void>;
+  /** Write the closing boundary and end the stream */
+  close(): Promise<void>;
+  /** Error the stream */
+  abort(reason?: unknown): Promise<void>;
+}
+
+/**
+ * Create an open multipart stream, like a multipart/x-mixed-replace feed, to push parts to until it is closed
+ * @param options Options
+ * @returns The stream and the methods to write to it
+ */
+export function createMultipartWriter(
+  options?: CreateMultipartWriterOptions
+): MultipartWriter;
+
+/**
+ * Options for parseMultipartMessage
+ */
+export interface ParseMultipartMessageOptions extends StreamMultipartOptions {
+  /** Content-ID of the root part, for when no Content-Type with a `start` parameter is given */
+  start?: string;
+}
+
+/**
+ * A whole multipart message, like multipart/mixed or multipart/related
+ */
+export interface MultipartMessage {
+  /** The Content-Type of the message, if it was given */
+  contentType?: ContentType;
+  /** All parts, their data is buffered and can be read in any order */
+  parts: Part[];
+  /** The root part: for multipart/related the one its `start` parameter refers to, otherwise the first part */
+  start?: Part;
+  /** Look up a part by Content-ID, with or without angle brackets, or by a "cid:" URL */
+  get(contentId: string): Part | undefined;
+}
+
+/**
+ * Parse a whole MIME multipart message. Parts are parsed in generic mode unless
+ * the Content-Type is multipart/form-data.
+ * @param body Stream containing multipart data
+ * @param boundary Boundary string from Content-Type header
+ * @param options Parser options and limits
+ */
+export function parseMultipartMessage(
+  body: MultipartBody,
+  boundary: string,
+  options?: ParseMultipartMessageOptions
+): Promise<MultipartMessage>;
+/**
+ * Parse a whole MIME multipart Request or Response
+ * @param message Request or response containing multipart data
+ * @param options Parser options and limits
+ */
+export function parseMultipartMessage(
+  message: Request | Response,
+  options?: ParseMultipartMessageOptions
+): Promise<MultipartMessage>;
+/**
+ * Parse a whole MIME multipart body, taking the boundary from the headers
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Parser options and limits
+ */
+export function parseMultipartMessage(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: ParseMultipartMessageOptions
+): Promise<MultipartMessage>;
+/**
+ * Parse a whole MIME multipart Node IncomingMessage
+ * @param message Node request or response
+ * @param options Parser options and limits
+ */
+export function parseMultipartMessage(
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: ParseMultipartMessageOptions
+): Promise<MultipartMessage>;
+
+/**
+ * Describes a file part that is about to be stored
+ */
+export interface UploadInfo {
+  /** Field name */
+  name: string;
+  /** The filename or path sent by the client */
+  filename: string;
+  /** MIME type, defaults to application/octet-stream */
+  type: string;
+  /** Index of the part in the body */
+  partIndex: number;
+}
+
+/**
+ * A file stored by handleUploads, with whatever the storage returned, like `path`, `key` or `data`
+ */
+export type UploadedFile<T = Record<string, any>> = UploadInfo & {
+  /** Number of bytes the storage read */
+  size: number;
+} & T;
+
+/**
+ * Where handleUploads puts files
+ */
+export interface UploadStorage<T = Record<string, any>> {
+  /**
+   * Store a file. Must consume `data`, and should clean up after itself when it fails.
+   * Resolves with where the file was stored, e.g. `{ path }` or `{ key }`.
+   */
+  write(data: AsyncIterable<Uint8Array>, info: UploadInfo): Promise<T>;
+  /** Remove a stored file, called when handling the upload fails later on */
+  remove?(file: UploadedFile<T>): Promise<void>;
+}
+
+/**
+ * Options for handleUploads
+ */
+export interface HandleUploadsOptions<T = Record<string, any>>
+  extends StreamMultipartOptions {
+  /** Where to put files, defaults to memoryStorage() */
+  storage?: UploadStorage<T>;
+}
+
+/**
+ * Result of handleUploads
+ */
+export interface HandledUploads<T = Record<string, any>> {
+  /** Text fields, with arrays for repeated names */
+  fields: Record<string, string | string[]>;
+  /** Stored files in the order they were received */
+  files: UploadedFile<T>[];
+}
+
+/**
+ * Parse a multipart body, handing files to a storage and collecting the text fields.
+ * When anything fails, the files that were already stored are removed.
+ * @param body Stream containing multipart data
+ * @param boundary Boundary string from Content-Type header
+ * @param options Storage, parser options and limits
+ */
+export function handleUploads<T = { data: Uint8Array }>(
+  body: MultipartBody,
+  boundary: string,
+  options?: HandleUploadsOptions<T>
+): Promise<HandledUploads<T>>;
+/**
+ * Parse a multipart Request or Response, handing files to a storage and collecting the text fields
+ * @param message Request or response containing multipart data
+ * @param options Storage, parser options and limits
+ */
+export function handleUploads<T = { data: Uint8Array }>(
+  message: Request | Response,
+  options?: HandleUploadsOptions<T>
+): Promise<HandledUploads<T>>;
+/**
+ * Parse a multipart body, taking the boundary from the headers, handing files to a storage and collecting the text fields
+ * @param headers Headers containing the Content-Type
+ * @param body Stream containing multipart data
+ * @param options Storage, parser options and limits
+ */
+export function handleUploads<T = { data: Uint8Array }>(
+  headers: Headers,
+  body: MultipartBody | null,
+  options?: HandleUploadsOptions<T>
+): Promise<HandledUploads<T>>;
+/**
+ * Parse a Node IncomingMessage, handing files to a storage and collecting the text fields
+ * @param message Node request or response
+ * @param options Storage, parser options and limits
+ */
+export function handleUploads<T = { data: Uint8Array }>(
+  message: AsyncIterable<Uint8Array> & {
+    headers: Record<string, string | string[] | undefined>;
+  },
+  options?: HandleUploadsOptions<T>
+): Promise<HandledUploads<T>>;
+
+/**
+ * Storage that keeps files in memory as `data`
+ */
+export function memoryStorage(): UploadStorage<{ data: Uint8Array }>;
+
+/**
+ * Options for diskStorage
+ */
+export interface DiskStorageOptions {
+  /** Directory to write to, defaults to the OS temp directory */
+  directory?: string;
+  /**
+   * Name of the file in the directory, defaults to a random name. The filename sent
+   * by the client is never used by default. Paths outside of `directory` are rejected.
+   */
+  filename?: (info: UploadInfo) => string | Promise<string>;
+}
+
+/**
+ * Storage that writes files to disk and resolves with their `path` (Node.js only).
+ * Partially written files are deleted when writing fails.
+ */
+export function diskStorage(
+  options?: DiskStorageOptions
+): UploadStorage<{ path: string }>;
+
+/**
+ * Constraints for the parts with one field name
+ */
+export interface FieldSchema {
+  /** The field must be sent, same as `minCount: 1` */
+  required?: boolean;
+  /** Minimum number of parts with this name */
+  minCount?: number;
+  /** Maximum number of parts with this name */
+  maxCount?: number;
+  /** true if the parts must be files, false if they must be text fields. If not given, either is fine. */
+  file?: boolean;
+  /** Maximum size of the data of each part in bytes */
+  maxSize?: number;
+  /**
+   * Allowed content-types, like "image/png" or "image/*". Files without a content-type
+   * are application/octet-stream, text fields are text/plain.
+   */
+  types?: string[];
+  /** Pattern the filename must match */
+  filename?: RegExp;
+}
+
+/**
+ * Declarative constraints for a multipart form
+ */
+export interface FormSchema {
+  /** Constraints by field name */
+  fields: Record<string, FieldSchema>;
+  /** Let parts with names that aren't in `fields` through unchecked, instead of reporting them */
+  allowUnknown?: boolean;
+}
+
+/**
+ * Options for validate
+ */
+export interface ValidateOptions {
+  /**
+   * Throw at the first part that breaks the schema (the default), or set to false
+   * to drop such parts and report all issues at the end. The data of a part that is
+   * too large ends at the limit then.
+   */
+  failFast?: boolean;
+}
+
+/**
+ * Checks the parts of one multipart body against a FormSchema
+ */
+export interface FormValidator {
+  /** The issues found so far */
+  readonly issues: ValidationIssue[];
+  /**
+   * Pass on the parts that match the schema, checking their size while they are read.
+   * Throws a MultipartValidationError, from the iterator or from the data of a part that is too large.
+   */
+  parts(parts: AsyncIterable<Part>): AsyncIterableIterator<Part>;
+  /**
+   * Use the schema as the filterPart of getReadableFormDataStream. With failFast the output
+   * errors with a MultipartValidationError at the first part that breaks it, otherwise such
+   * parts are dropped and the output errors once the input ended. Missing fields are checked then.
+   */
+  readonly filterPart: FilterPart;
+  /** Check for missing fields, and throw a MultipartValidationError with all issues if there are any */
+  finish(): void;
+}
+
+/**
+ * Creates a validator for one multipart body. It keeps count of the parts it has
+ * seen, so use a new one for every body.
+ * @param schema The constraints
+ * @param options Options
+ */
+export function validate(
+  schema: FormSchema,
+  options?: ValidateOptions
+): FormValidator;
+
+/**
+ * Parsed Content-Type header
+ */
+export interface ContentType {
+  /** Lowercased top-level type, e.g. "multipart" */
+  type: string;
+  /** Lowercased subtype, e.g. "form-data" */
+  subtype: string;
+  /** Parameters with lowercased names and unquoted values */
+  params: Record<string, string>;
+}
+
+/**
+ * Parse a Content-Type header
+ * @param header Header value
+ * @returns Parsed content type
+ * @throws MultipartParseError with code BAD_CONTENT_TYPE if the media type is malformed
+ */
+export function parseContentType(header: string): ContentType;
+
+/**
+ * Get the boundary from a multipart Content-Type header
+ * @param contentType Header value
+ * @returns The boundary, validated according to RFC 2046
+ * @throws MultipartParseError with code BAD_CONTENT_TYPE or BAD_BOUNDARY
+ */
+export function getBoundary(contentType: string | null | undefined): string;
+
 /**
  * Converts a string to a Uint8Array
  * @param s The string to convert
@@ -150,6 +1048,15 @@ export function stringToArray(s: string): Uint8Array;
  */
 export function arrayToString(a: Uint8Array): string;
 
+/**
+ * Decodes bytes with the given charset, falling back to latin1 if the bytes
+ * are not valid in that charset or the charset is unknown
+ * @param a The array to decode
+ * @param charset Charset label, defaults to utf-8
+ * @returns Decoded string
+ */
+export function decodeText(a: Uint8Array, charset?: string): string;
+
 /**
  * Merges multiple Uint8Arrays into one
  * @param arrays Arrays to merge
@@ -171,16 +1078,104 @@ export function arraysEqual(a: Uint8Array, b: Uint8Array): boolean;
 export interface ReadableStreamOptions {
   /** Content-Type header value containing boundary information */
   contentType: string | null;
-  /** ReadableStream containing multipart form data */
-  body: ReadableStream<Uint8Array> | null;
-  /** Optional sync function to filter parts */
-  filterPart?: (part: Part) => { ok: boolean; stop?: boolean };
-  /** Optional async function to transform parts or filter them out */
+  /** ReadableStream (or Node Readable, bytes, ...) containing multipart form data */
+  body: MultipartBody | null;
+  /**
+   * Optional sync function to filter parts. If it has a `finish` method, like the filterPart
+   * of a validator, that is called once all input parts passed, and may throw to error the output.
+   */
+  filterPart?: FilterPart;
+  /**
+   * Optional async function to transform parts or filter them out. It can also return
+   * several parts, as an array or an async iterable, e.g. to unpack an archive.
+   * The signal is aborted when processing is cancelled, the transform is no longer awaited then.
+   */
   transformPart?: (
-    part: Part
-  ) => Promise<{ part: Part | null; stop?: boolean }>;
+    part: Part,
+    context: { signal: AbortSignal }
+  ) => Promise<{ part: PartsInit | null; stop?: boolean }>;
   /** Optional custom boundary for output (defaults to input boundary) */
   outputBoundary?: string;
+  /** Optional limits applied while parsing the input */
+  limits?: MultipartLimits;
+  /**
+   * Aborting stops processing, cancels the body and errors the output stream.
+   * Cancelling the output stream does the same.
+   */
+  signal?: AbortSignal;
+  /** Check input parts that have an x-file-hash header, see StreamMultipartOptions.hash */
+  hash?: HashAlgorithm;
+  /**
+   * Give every output part an x-file-hash header, using `hash` or SHA-256. Parts without
+   * a checked input hash, and all transformed parts, are buffered in memory to hash them first.
+   */
+  emitHash?: boolean;
+  /**
+   * Number of parts transformed at the same time. Defaults to 1: each part is transformed
+   * while it streams. With more, parts are read into memory so the next ones can be parsed
+   * while their transforms run. Errors and `stop` take effect in output order.
+   */
+  concurrency?: number;
+  /**
+   * With `concurrency`, the maximum number of bytes of parts held in memory until their
+   * output is written. A part that doesn't fit is transformed on its own, while it streams.
+   * Defaults to 16 MiB.
+   */
+  maxBufferedBytes?: number;
+  /**
+   * With `concurrency`, write the output parts in the order of the input (the default),
+   * or set to false to write them in the order their transforms complete
+   */
+  ordered?: boolean;
+  /** Parts to write before the first part */
+  prepend?: (context: {
+    signal: AbortSignal;
+  }) => PartsInit | null | Promise<PartsInit | null>;
+  /** Parts to write after the last part, e.g. a manifest, given a summary of what was written */
+  append?: (
+    summary: StreamSummary,
+    context: { signal: AbortSignal }
+  ) => PartsInit | null | Promise<PartsInit | null>;
+}
+
+/**
+ * Filter for getReadableFormDataStream, see ReadableStreamOptions
+ */
+export type FilterPart = ((part: Part) => { ok: boolean; stop?: boolean }) & {
+  finish?: () => void;
+};
+
+/**
+ * One part, or several as an array or async iterable
+ */
+export type PartsInit = PartInit | PartInit[] | AsyncIterable<PartInit>;
+
+/**
+ * A part written by getReadableFormDataStream
+ */
+export interface WrittenPart {
+  /** Field name */
+  name?: string;
+  /** Filename */
+  filename?: string;
+  /** Content-type */
+  type?: string;
+  /** Size of the data in bytes */
+  size: number;
+  /** The x-file-hash header, if any */
+  hash?: string;
+}
+
+/**
+ * What getReadableFormDataStream wrote before the `append` hook
+ */
+export interface StreamSummary {
+  /** The parts written, including prepended ones */
+  parts: WrittenPart[];
+  /** Number of parts read from the input */
+  inputParts: number;
+  /** Whether processing was stopped early by filterPart or transformPart */
+  stopped: boolean;
 }
 
 /**
@@ -193,15 +1188,197 @@ export function getReadableFormDataStream(
 ): Promise<{ readable: ReadableStream<Uint8Array>; boundary: string }>;
 
 /**
- * Builds header lines from Part properties
+ * A value of a form field: text, a file, or raw bytes
+ */
+export type FormValue = string | Blob | Uint8Array | ArrayBuffer;
+
+/**
+ * Parts accepted by createMultipartStream
+ */
+export type MultipartInput =
+  | FormData
+  | Record<string, FormValue | FormValue[]>
+  | Iterable<PartInit>
+  | AsyncIterable<PartInit>;
+
+/**
+ * Options for createMultipartStream
+ */
+export interface CreateMultipartStreamOptions {
+  /** Boundary for the output. A random one is generated if not given */
+  boundary?: string;
+  /** Multipart subtype used in the content-type. Defaults to "form-data" */
+  subtype?: string;
+  /** Encode the data of parts with a base64 or quoted-printable "content-transfer-encoding" */
+  encodeTransferEncoding?: boolean;
+  /**
+   * Write the `headerLines` of parts that have them as they are, instead of building
+   * the headers from the properties. For passing parsed parts through unchanged.
+   */
+  preserveHeaderLines?: boolean;
+}
+
+/**
+ * Creates a multipart body from a FormData, a plain object of field values,
+ * or an (async) iterable of parts
+ * @param parts The parts to encode
+ * @param options Boundary and subtype
+ * @returns The body stream, its boundary and content-type, and its exact
+ * length if the sizes of all parts are known upfront
+ */
+export function createMultipartStream(
+  parts: MultipartInput,
+  options?: CreateMultipartStreamOptions
+): {
+  readable: ReadableStream<Uint8Array>;
+  boundary: string;
+  contentType: string;
+  contentLength?: number;
+};
+
+/**
+ * A transform stream that parses the multipart body written to it into parts:
+ *
+ *     request.body.pipeThrough(new MultipartDecoderStream(contentType))
+ *
+ * Pipes read ahead, so `unconsumedData` defaults to "block": the next part is
+ * only parsed once the data of the previous part was read or skipped.
+ */
+export class MultipartDecoderStream
+  implements TransformStream<Uint8Array, Part>
+{
+  /**
+   * @param boundaryOrContentType The boundary, or a multipart Content-Type header to take it from.
+   * Generic mode defaults to true for a Content-Type other than multipart/form-data.
+   * @param options Parser options
+   */
+  constructor(boundaryOrContentType: string, options?: StreamMultipartOptions);
+  readonly readable: ReadableStream<Part>;
+  readonly writable: WritableStream<Uint8Array>;
+}
+
+/**
+ * A transform stream that encodes the parts written to it as a multipart body
+ */
+export class MultipartEncoderStream
+  implements TransformStream<PartInit, Uint8Array>
+{
+  /**
+   * @param options Boundary, subtype and encoding options
+   */
+  constructor(options?: CreateMultipartStreamOptions);
+  readonly readable: ReadableStream<Uint8Array>;
+  readonly writable: WritableStream<PartInit>;
+  /** The boundary */
+  readonly boundary: string;
+  /** The content-type of the body, with its boundary */
+  readonly contentType: string;
+}
+
+/**
+ * The parts of a Node Writable (e.g. http.ServerResponse or fs.WriteStream) used by pipeToNodeWritable
+ */
+export interface NodeWritable {
+  write(chunk: Uint8Array): boolean;
+  end(callback: (error?: Error) => void): void;
+  destroy(error?: Error): void;
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  off(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+/**
+ * Pipes a ReadableStream, like the output of getReadableFormDataStream, into
+ * a Node Writable, respecting backpressure. The writable is ended when the
+ * stream is done, and destroyed when either side fails.
+ * @param readable The stream to read from
+ * @param writable The Node Writable to write to
+ * @returns Promise resolving when everything is written
+ */
+export function pipeToNodeWritable(
+  readable: ReadableStream<Uint8Array>,
+  writable: NodeWritable
+): Promise<void>;
+
+/**
+ * Incremental encoder or decoder of a byte stream
+ */
+export interface ChunkCodec {
+  /** Process a chunk, returning the output that is complete so far */
+  update(chunk: Uint8Array): Uint8Array;
+  /** Flush the remaining output */
+  end(): Uint8Array;
+}
+
+/**
+ * Creates an incremental decoder for a Content-Transfer-Encoding
+ * @param encoding The transfer encoding
+ * @returns The decoder for "base64" or "quoted-printable", undefined otherwise
+ */
+export function createTransferDecoder(
+  encoding: string | undefined
+): ChunkCodec | undefined;
+
+/**
+ * Creates an incremental encoder for a Content-Transfer-Encoding. Output lines
+ * are wrapped at 76 characters.
+ * @param encoding The transfer encoding
+ * @returns The encoder for "base64" or "quoted-printable", undefined otherwise
+ */
+export function createTransferEncoder(
+  encoding: string | undefined
+): ChunkCodec | undefined;
+
+/**
+ * Hash algorithms supported for x-file-hash. Lowercase names without the dash work as well.
+ */
+export type HashAlgorithm = "SHA-1" | "SHA-256";
+
+/**
+ * An incremental hash
+ */
+export interface IncrementalHash {
+  /** Hash more bytes */
+  update(chunk: Uint8Array): void;
+  /** Finish and get the hash as lowercase hex */
+  digest(): string;
+}
+
+/**
+ * Creates an incremental SHA-1 or SHA-256 hash, which Web Crypto doesn't offer
+ * @param algorithm The hash algorithm
+ * @returns The hash
+ */
+export function createHash(algorithm: HashAlgorithm): IncrementalHash;
+
+/**
+ * Builds header lines from Part properties. Parameter values are quoted and
+ * escaped, non-ASCII filenames get an RFC 5987 `filename*`, and header names
+ * are emitted in canonical casing (e.g. `X-File-Hash`). Parts without a name get
+ * no form-data Content-Disposition, only their raw "content-disposition" if they have one.
  * @param part The part to generate headers for
  * @returns Array of header lines
+ * @throws TypeError if a header name is not a valid token or a header value contains CR or LF
+ */
+export function buildHeaderLines(part: PartInit): string[];
+
+/**
+ * Iterates over the data of a part as Uint8Array chunks
+ * @param data The part data to iterate over
+ * @param signal Aborting cancels the underlying stream
+ * @returns Async iterator yielding chunks of the part data
  */
-export function buildHeaderLines(part: Part): string[];
+export function iteratePartData(
+  data: PartData,
+  signal?: AbortSignal
+): AsyncIterableIterator<Uint8Array>;
 
 /**
  * Parse a Content-Disposition header value
  * @param header Header value to parse
+ * @param generic Accept any disposition type, like "inline" or "attachment", and no name
  * @returns Parsed content disposition object
  */
-export function parseContentDisposition(header: string): ContentDisposition;
+export function parseContentDisposition(
+  header: string,
+  generic?: boolean
+): ContentDisposition;